@@ -2,6 +2,23 @@
 const MSG = {
   LOAD_CONFIG: 'LOAD_CONFIG',
   SAVE_CONFIG: 'SAVE_CONFIG',
+  LIST_PROVIDERS: 'LIST_PROVIDERS',
+  LIST_MODELS: 'LIST_MODELS',
+  DRY_RUN_PROVIDER: 'DRY_RUN_PROVIDER',
+  GET_ROUTE_LOG: 'GET_ROUTE_LOG',
+  GET_KEY_HEALTH: 'GET_KEY_HEALTH',
+  RESET_KEY_HEALTH: 'RESET_KEY_HEALTH',
+  PURGE_STALE_CACHE: 'PURGE_STALE_CACHE',
+  GET_CACHE_STATS: 'GET_CACHE_STATS',
+  SEARCH_CACHE: 'SEARCH_CACHE',
+  DELETE_CACHE_ENTRIES: 'DELETE_CACHE_ENTRIES',
+  PURGE_CACHE: 'PURGE_CACHE',
+  EXPORT_CACHE: 'EXPORT_CACHE',
+  IMPORT_CACHE: 'IMPORT_CACHE',
+  GET_TM_STATS: 'GET_TM_STATS',
+  IMPORT_TM: 'IMPORT_TM',
+  EXPORT_TM: 'EXPORT_TM',
+  CLEAR_TM: 'CLEAR_TM',
   REQUEST_TRANSLATION: 'REQUEST_TRANSLATION'
 };
 
@@ -11,11 +28,21 @@ const DEFAULT_CONFIG = {
     type: 'custom',
     endpoint: '',
     apiKey: '',
+    apiKeys: [],
+    keyRotation: 'round-robin',
     headers: {},
     model: '',
-    limits: { maxConcurrent: 2, rps: 1, burst: 2, jitterMs: [50, 200] },
-    retry: { maxRetries: 5, baseDelayMs: 800, maxDelayMs: 20000, jitter: true, retryOn: [429, 500, 502, 503, 504] },
-    batching: { enabled: true, mode: 'json-array', maxItems: 20, maxChars: 8000, tokenBudget: 2000 }
+    limits: { maxConcurrent: 2, rps: 1, burst: 2, jitterMs: [50, 200], adaptive: true, tpm: 0 },
+    retry: { maxRetries: 5, baseDelayMs: 800, maxDelayMs: 20000, maxRetryAfterMs: 120000, jitter: true, retryOn: [429, 500, 502, 503, 504] },
+    batching: { enabled: true, mode: 'json-array', maxItems: 20, maxChars: 8000, tokenBudget: 2000 },
+    local: { server: 'ollama', numCtx: 0, keepAlive: '' },
+    deepl: { glossaryId: '' },
+    azure: { region: '' },
+    auth: { scheme: 'default', headerName: 'x-api-key', headerPrefix: '', queryParam: 'key', appId: '', secret: '', hmac: {} },
+    template: {
+      method: 'POST', url: '', query: {}, body: '{"inputs": {{inputs}}, "target": "{{targetLang}}"}',
+      batch: true, maxItems: 50, outputPath: 'outputs', langMap: {}, errorPath: '', okPath: '', okValue: ''
+    }
   },
   workflow: {
     steps: ['translate'],
@@ -43,18 +70,39 @@ const DEFAULT_CONFIG = {
   cache: {
     enabled: true,
     size: 500,
-    ttlMs: 12 * 60 * 60 * 1000
+    ttlMs: 12 * 60 * 60 * 1000,
+    persistent: true,
+    maxBytes: 20 * 1024 * 1024
+  },
+  tm: {
+    enabled: true,
+    fuzzyThreshold: 0.8,
+    fuzzyAction: 'reference',
+    maxReferences: 3,
+    sendToCustom: false
   },
   behavior: {
     selectionShowBubble: true,
     dynamicFlushMaxItems: 40,
     dynamicFlushWindowMs: 300,
     pageInitialBatchSize: 40,
-    dynamicObserveMs: 10000
-  }
+    dynamicObserveMs: 10000,
+    displayMode: 'replace',
+    bilingualStyle: 'muted',
+    segmentation: 'block',
+    pageMode: 'full',
+    lazyPrefetchMarginPx: 600,
+    lazyPrefetchMaxItems: 40,
+    translateAttributes: ['title', 'alt', 'placeholder', 'value']
+  },
+  siteRules: [],
+  providerProfiles: [],
+  routing: { failover: true, rules: [] }
 };
 
 function $(id){ return document.getElementById(id); }
+const ENDPOINT_PLACEHOLDER = $('endpoint')?.placeholder || '';
+const MODEL_PLACEHOLDER = $('model')?.placeholder || '';
 function setStatus(msg, ok=true){
   const el = $('status'); if (!el) return;
   el.textContent = msg || '';
@@ -88,6 +136,18 @@ function parseRetryOn(text, fallback = [429,500,502,503,504]){
   return arr.length ? arr : [...fallback];
 }
 
+// one key per line (commas also accepted); blank lines and duplicates dropped
+function parseKeyList(text){
+  const keys = (text ?? '').toString().split(/[\r\n,]+/).map(x => x.trim()).filter(Boolean);
+  return Array.from(new Set(keys));
+}
+
+// "title, alt, aria-label" -> ['title', 'alt', 'aria-label']; empty disables attribute translation
+function parseAttributeList(text){
+  const names = (text ?? '').toString().toLowerCase().split(/[,\s]+/).filter(x => /^[a-z][a-z0-9_:.-]*$/.test(x));
+  return Array.from(new Set(names)).slice(0, 20);
+}
+
 function formatJitterMs(jm){
   if (Array.isArray(jm)) return jm.join(',');
   if (typeof jm === 'number') return String(jm);
@@ -124,6 +184,52 @@ function parseJsonArray(text, fallback = []){
   return Array.isArray(v) ? v : fallback;
 }
 
+// Keep well-formed site rules only: { pattern, autoTranslate, neverTranslate, include, exclude }
+const ROUTE_TRIGGERS = ['page', 'region', 'selection'];
+function sanitizeProviderProfiles(list){
+  const out = [];
+  const seen = new Set(['primary']);
+  for (const p of Array.isArray(list) ? list : []) {
+    const id = typeof p?.id === 'string' ? p.id.trim() : '';
+    if (!id || seen.has(id) || !p.provider || typeof p.provider !== 'object' || Array.isArray(p.provider)) continue;
+    seen.add(id);
+    out.push({ id, label: typeof p.label === 'string' ? p.label : id, enabled: p.enabled !== false, provider: p.provider });
+  }
+  return out.slice(0, 20);
+}
+function sanitizeRoutingRules(list){
+  const out = [];
+  for (const r of Array.isArray(list) ? list : []) {
+    const use = Array.isArray(r?.use) ? r.use.map(x => String(x).trim()).filter(Boolean) : [];
+    if (!use.length) continue;
+    const trigger = typeof r.trigger === 'string' && ROUTE_TRIGGERS.includes(r.trigger.trim()) ? r.trigger.trim() : '';
+    out.push({
+      trigger,
+      sourceLang: typeof r.sourceLang === 'string' ? r.sourceLang.trim() : '',
+      targetLang: typeof r.targetLang === 'string' ? r.targetLang.trim() : '',
+      minLength: clampInt(r.minLength ?? 0, 0, 1e6),
+      maxLength: clampInt(r.maxLength ?? 0, 0, 1e6),
+      use
+    });
+  }
+  return out.slice(0, 50);
+}
+function sanitizeSiteRules(list){
+  const out = [];
+  for (const r of Array.isArray(list) ? list : []) {
+    const pattern = typeof r?.pattern === 'string' ? r.pattern.trim().toLowerCase() : '';
+    if (!pattern) continue;
+    out.push({
+      pattern,
+      autoTranslate: !!r.autoTranslate,
+      neverTranslate: !!r.neverTranslate,
+      include: typeof r.include === 'string' ? r.include.trim() : '',
+      exclude: typeof r.exclude === 'string' ? r.exclude.trim() : ''
+    });
+  }
+  return out.slice(0, 200);
+}
+
 // ---- Safety helpers ----
 function clamp(n, min, max){
   const x = Number(n);
@@ -143,6 +249,33 @@ function sanitizeJitterMs(jm){
   return [n, n];
 }
 
+// 从后台的 provider 注册表补全下拉选项；静态 <option> 作为兜底
+const providerDefaults = {};
+async function loadProviderOptions(){
+  const sel = $('providerType');
+  if (!sel) return;
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: MSG.LIST_PROVIDERS });
+    if (!resp?.ok || !Array.isArray(resp.providers)) return;
+    const known = new Set(Array.from(sel.options, o => o.value));
+    for (const p of resp.providers) {
+      if (p?.id) providerDefaults[p.id] = p.defaults || {};
+      if (!p?.id || known.has(p.id)) continue;
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.label || p.id;
+      sel.appendChild(opt);
+    }
+  } catch {}
+}
+
+// Endpoint/Model 留空时使用 Provider 默认值，在占位符中提示
+function updateProviderPlaceholders(){
+  const d = providerDefaults[$('providerType')?.value] || {};
+  if ($('endpoint')) $('endpoint').placeholder = d.endpoint || ENDPOINT_PLACEHOLDER;
+  if ($('model')) $('model').placeholder = d.model || MODEL_PLACEHOLDER;
+}
+
 async function loadConfigUI(){
   try {
     const resp = await chrome.runtime.sendMessage({ type: MSG.LOAD_CONFIG });
@@ -152,9 +285,46 @@ async function loadConfigUI(){
     // Provider basics
     if ($('endpoint')) $('endpoint').value = cfg?.provider?.endpoint || '';
     if ($('apiKey')) $('apiKey').value = cfg?.provider?.apiKey || '';
+    if ($('apiKeys')) $('apiKeys').value = (Array.isArray(cfg?.provider?.apiKeys) ? cfg.provider.apiKeys : []).join('\n');
+    if ($('keyRotation')) $('keyRotation').value = cfg?.provider?.keyRotation === 'least-loaded' ? 'least-loaded' : 'round-robin';
     if ($('headers')) $('headers').value = jsonStringify(cfg?.provider?.headers || {});
     if ($('model')) $('model').value = cfg?.provider?.model || '';
     if ($('providerType')) $('providerType').value = (cfg?.provider?.type || 'custom');
+    updateProviderPlaceholders();
+
+    // Local provider
+    const local = cfg?.provider?.local || {};
+    if ($('localServer')) $('localServer').value = local.server === 'llamacpp' ? 'llamacpp' : 'ollama';
+    if ($('localNumCtx')) $('localNumCtx').value = String(local.numCtx ?? 0);
+    if ($('localKeepAlive')) $('localKeepAlive').value = local.keepAlive ?? '';
+
+    // MT engines
+    if ($('deeplGlossaryId')) $('deeplGlossaryId').value = cfg?.provider?.deepl?.glossaryId || '';
+    if ($('azureRegion')) $('azureRegion').value = cfg?.provider?.azure?.region || '';
+
+    // Auth
+    const auth = { ...DEFAULT_CONFIG.provider.auth, ...(cfg?.provider?.auth || {}) };
+    if ($('authScheme')) $('authScheme').value = auth.scheme || 'default';
+    if ($('authHeaderName')) $('authHeaderName').value = auth.headerName || '';
+    if ($('authHeaderPrefix')) $('authHeaderPrefix').value = auth.headerPrefix || '';
+    if ($('authQueryParam')) $('authQueryParam').value = auth.queryParam || '';
+    if ($('authAppId')) $('authAppId').value = auth.appId || '';
+    if ($('authSecret')) $('authSecret').value = auth.secret || '';
+    if ($('authHmac')) $('authHmac').value = Object.keys(auth.hmac || {}).length ? jsonStringify(auth.hmac) : '';
+
+    // Templated provider
+    const tpl = { ...DEFAULT_CONFIG.provider.template, ...(cfg?.provider?.template || {}) };
+    if ($('templateMethod')) $('templateMethod').value = String(tpl.method || 'POST').toUpperCase();
+    if ($('templateUrl')) $('templateUrl').value = tpl.url || '';
+    if ($('templateQuery')) $('templateQuery').value = Object.keys(tpl.query || {}).length ? jsonStringify(tpl.query) : '';
+    if ($('templateBody')) $('templateBody').value = tpl.body || '';
+    if ($('templateBatch')) $('templateBatch').checked = tpl.batch !== false;
+    if ($('templateMaxItems')) $('templateMaxItems').value = String(tpl.maxItems ?? 50);
+    if ($('templateOutputPath')) $('templateOutputPath').value = tpl.outputPath || '';
+    if ($('templateLangMap')) $('templateLangMap').value = Object.keys(tpl.langMap || {}).length ? jsonStringify(tpl.langMap) : '';
+    if ($('templateErrorPath')) $('templateErrorPath').value = tpl.errorPath || '';
+    if ($('templateOkPath')) $('templateOkPath').value = tpl.okPath || '';
+    if ($('templateOkValue')) $('templateOkValue').value = tpl.okValue ?? '';
 
     // Limits
     const lim = cfg?.provider?.limits || {};
@@ -162,12 +332,15 @@ async function loadConfigUI(){
     if ($('providerLimitsRps')) $('providerLimitsRps').value = String(lim.rps ?? 1);
     if ($('providerLimitsBurst')) $('providerLimitsBurst').value = String(lim.burst ?? 2);
     if ($('providerLimitsJitterMs')) $('providerLimitsJitterMs').value = formatJitterMs(lim.jitterMs ?? [50,200]);
+    if ($('providerLimitsTpm')) $('providerLimitsTpm').value = String(lim.tpm ?? 0);
+    if ($('providerLimitsAdaptive')) $('providerLimitsAdaptive').checked = lim.adaptive !== false;
 
     // Retry
     const r = cfg?.provider?.retry || {};
     if ($('providerRetryMaxRetries')) $('providerRetryMaxRetries').value = String(r.maxRetries ?? 5);
     if ($('providerRetryBaseDelayMs')) $('providerRetryBaseDelayMs').value = String(r.baseDelayMs ?? 800);
     if ($('providerRetryMaxDelayMs')) $('providerRetryMaxDelayMs').value = String(r.maxDelayMs ?? 20000);
+    if ($('providerRetryMaxRetryAfterMs')) $('providerRetryMaxRetryAfterMs').value = String(r.maxRetryAfterMs ?? 120000);
     if ($('providerRetryRetryOn')) $('providerRetryRetryOn').value = Array.isArray(r.retryOn) ? r.retryOn.join(',') : '';
     if ($('providerRetryJitter')) $('providerRetryJitter').checked = (r.jitter !== false);
 
@@ -184,6 +357,16 @@ async function loadConfigUI(){
     if ($('cacheEnabled')) $('cacheEnabled').checked = (cc.enabled !== false);
     if ($('cacheSize')) $('cacheSize').value = String(cc.size ?? 500);
     if ($('cacheTtlMs')) $('cacheTtlMs').value = String(cc.ttlMs ?? (12*60*60*1000));
+    if ($('cachePersistent')) $('cachePersistent').checked = (cc.persistent !== false);
+    if ($('cacheMaxMb')) $('cacheMaxMb').value = String(Math.round((cc.maxBytes ?? 20*1024*1024) / (1024*1024)));
+
+    // Translation memory
+    const tmc = cfg?.tm || {};
+    if ($('tmEnabled')) $('tmEnabled').checked = (tmc.enabled !== false);
+    if ($('tmFuzzyThreshold')) $('tmFuzzyThreshold').value = String(tmc.fuzzyThreshold ?? 0.8);
+    if ($('tmFuzzyAction')) $('tmFuzzyAction').value = tmc.fuzzyAction || 'reference';
+    if ($('tmMaxReferences')) $('tmMaxReferences').value = String(tmc.maxReferences ?? 3);
+    if ($('tmSendToCustom')) $('tmSendToCustom').checked = tmc.sendToCustom === true;
 
     // Workflow basics
     if ($('sourceLang')) $('sourceLang').value = (cfg?.workflow?.sourceLang || 'auto');
@@ -217,6 +400,19 @@ async function loadConfigUI(){
     if ($('behaviorDynamicFlushWindowMs')) $('behaviorDynamicFlushWindowMs').value = String((cfg?.behavior?.dynamicFlushWindowMs ?? 300));
     if ($('behaviorPageInitialBatchSize')) $('behaviorPageInitialBatchSize').value = String((cfg?.behavior?.pageInitialBatchSize ?? 40));
     if ($('behaviorDynamicObserveMs')) $('behaviorDynamicObserveMs').value = String((cfg?.behavior?.dynamicObserveMs ?? 10000));
+    if ($('behaviorDisplayMode')) $('behaviorDisplayMode').value = (cfg?.behavior?.displayMode || 'replace');
+    if ($('behaviorBilingualStyle')) $('behaviorBilingualStyle').value = (cfg?.behavior?.bilingualStyle || 'muted');
+    if ($('behaviorSegmentation')) $('behaviorSegmentation').value = (cfg?.behavior?.segmentation || 'block');
+    if ($('behaviorPageMode')) $('behaviorPageMode').value = (cfg?.behavior?.pageMode || 'full');
+    if ($('behaviorLazyPrefetchMarginPx')) $('behaviorLazyPrefetchMarginPx').value = String((cfg?.behavior?.lazyPrefetchMarginPx ?? 600));
+    if ($('behaviorLazyPrefetchMaxItems')) $('behaviorLazyPrefetchMaxItems').value = String((cfg?.behavior?.lazyPrefetchMaxItems ?? 40));
+    if ($('siteRules')) $('siteRules').value = jsonStringify(Array.isArray(cfg?.siteRules) ? cfg.siteRules : []);
+
+    // Routing
+    if ($('providerProfiles')) $('providerProfiles').value = jsonStringify(Array.isArray(cfg?.providerProfiles) ? cfg.providerProfiles : []);
+    if ($('routingRules')) $('routingRules').value = jsonStringify(Array.isArray(cfg?.routing?.rules) ? cfg.routing.rules : []);
+    if ($('routingFailover')) $('routingFailover').checked = cfg?.routing?.failover !== false;
+    if ($('behaviorTranslateAttributes')) $('behaviorTranslateAttributes').value = (cfg?.behavior?.translateAttributes ?? ['title', 'alt', 'placeholder', 'value']).join(', ');
 
     setStatus('配置已加载');
     console.log('[Options] 配置已加载', cfg);
@@ -226,6 +422,514 @@ async function loadConfigUI(){
   }
 }
 
+function readLocalUI(){
+  return {
+    server: $('localServer')?.value === 'llamacpp' ? 'llamacpp' : 'ollama',
+    numCtx: clampInt($('localNumCtx')?.value || 0, 0, 1048576),
+    keepAlive: $('localKeepAlive')?.value?.trim() || ''
+  };
+}
+
+// JSON 字段解析失败时抛错（而不是静默回退），避免保存一个不可用的模板
+function parseJsonObjectField(id, label){
+  const text = $(id)?.value || '';
+  if (!text.trim()) return {};
+  let v;
+  try { v = JSON.parse(text); } catch { throw new Error(`${label} 不是合法的 JSON`); }
+  if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error(`${label} 应为 JSON 对象`);
+  return v;
+}
+
+function readAuthUI(){
+  return {
+    scheme: $('authScheme')?.value || 'default',
+    headerName: $('authHeaderName')?.value?.trim() || 'x-api-key',
+    headerPrefix: $('authHeaderPrefix')?.value || '',
+    queryParam: $('authQueryParam')?.value?.trim() || 'key',
+    appId: $('authAppId')?.value?.trim() || '',
+    secret: $('authSecret')?.value?.trim() || '',
+    hmac: parseJsonObjectField('authHmac', '签名规则')
+  };
+}
+
+function readTemplateUI(){
+  return {
+    method: $('templateMethod')?.value || 'POST',
+    url: $('templateUrl')?.value?.trim() || '',
+    query: parseJsonObjectField('templateQuery', 'Query 参数'),
+    body: $('templateBody')?.value || '',
+    batch: !!$('templateBatch')?.checked,
+    maxItems: clampInt($('templateMaxItems')?.value || 0, 0, 10000),
+    outputPath: $('templateOutputPath')?.value?.trim() || '',
+    langMap: parseJsonObjectField('templateLangMap', '语言代码映射'),
+    errorPath: $('templateErrorPath')?.value?.trim() || '',
+    okPath: $('templateOkPath')?.value?.trim() || '',
+    okValue: $('templateOkValue')?.value?.trim() || ''
+  };
+}
+
+// 当前（未保存的）Provider 连接字段，供“获取模型”与“预览请求”使用
+function readProviderFieldsUI(){
+  return {
+    type: ($('providerType')?.value || 'custom'),
+    endpoint: $('endpoint')?.value?.trim() || '',
+    apiKey: $('apiKey')?.value?.trim() || '',
+    apiKeys: parseKeyList($('apiKeys')?.value),
+    headers: jsonParseSafe($('headers')?.value, {}),
+    model: $('model')?.value?.trim() || '',
+    local: readLocalUI(),
+    deepl: { glossaryId: $('deeplGlossaryId')?.value?.trim() || '' },
+    azure: { region: $('azureRegion')?.value?.trim() || '' },
+    auth: readAuthUI(),
+    template: readTemplateUI()
+  };
+}
+
+// 用当前（未保存的）Provider 字段查询模型列表，填入 Model 输入框的候选
+async function listModels(){
+  try {
+    setStatus('正在获取模型列表…');
+    const provider = readProviderFieldsUI();
+    const resp = await chrome.runtime.sendMessage({ type: MSG.LIST_MODELS, provider });
+    if (!resp?.ok) throw new Error(resp?.error || '获取模型失败');
+    const list = $('modelList');
+    if (list) {
+      list.textContent = '';
+      for (const name of resp.models || []) {
+        const opt = document.createElement('option');
+        opt.value = name;
+        list.appendChild(opt);
+      }
+    }
+    if (!$('model')?.value && resp.models?.length) $('model').value = resp.models[0];
+    setStatus(resp.models?.length ? `可用模型 ${resp.models.length} 个：${resp.models.slice(0, 5).join(', ')}${resp.models.length > 5 ? ' …' : ''}` : '服务端未返回模型');
+  } catch (e) {
+    setStatus(e.message || String(e), false);
+  }
+}
+
+// 渲染测试文本对应的请求（不发送），便于核对模板
+async function dryRunRequest(){
+  try {
+    const text = $('testInput')?.value?.trim() || 'Hello, world!';
+    const params = {
+      sourceLang: $('sourceLang')?.value || 'auto',
+      targetLang: $('targetLang')?.value || 'zh-CN'
+    };
+    const resp = await chrome.runtime.sendMessage({ type: MSG.DRY_RUN_PROVIDER, provider: readProviderFieldsUI(), texts: [text], params });
+    if (!resp?.ok) throw new Error(resp?.error || '预览失败');
+    const r = resp.request || {};
+    const headers = Object.entries(r.headers || {}).map(([k, v]) => `${k}: ${v}`).join('\n');
+    if ($('dryRunOut')) $('dryRunOut').textContent = `${r.method} ${r.url}\n${headers}${r.body ? `\n\n${r.body}` : ''}`;
+    setStatus(`已渲染 ${r.provider} 请求（未发送）`);
+  } catch (e) {
+    if ($('dryRunOut')) $('dryRunOut').textContent = '';
+    setStatus(e.message || String(e), false);
+  }
+}
+
+async function showRouteLog(){
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: MSG.GET_ROUTE_LOG });
+    if (!resp?.ok) throw new Error(resp?.error || '读取失败');
+    const lines = (resp.log || []).slice().reverse().map((r) => {
+      const failed = (r.failures || []).map(f => `${f.profile} ✗ ${f.error}`).join('；');
+      return `${r.at}  [${r.trigger || '-'}] ${r.count} 段 → ${r.profile || '全部失败'}${failed ? `（${failed}）` : ''}`;
+    });
+    if ($('routeLogOut')) $('routeLogOut').textContent = lines.join('\n') || '暂无记录（Service Worker 重启后清空）';
+  } catch (e) {
+    setStatus(e.message || String(e), false);
+  }
+}
+
+const KEY_STATE_LABELS = { ok: '正常', throttled: '限流暂停', disabled: '已停用', unused: '未使用' };
+
+function renderKeyHealth(profiles){
+  const lines = [];
+  for (const p of profiles || []) {
+    lines.push(`${p.label}（${p.profile}，${p.rotation}）`);
+    for (const k of p.keys || []) {
+      const parts = [`  #${k.index + 1} ${k.key}  ${KEY_STATE_LABELS[k.state] || k.state}`];
+      if (k.state !== 'unused') parts.push(`成功 ${k.ok} / 失败 ${k.failed}`, `进行中 ${k.inflight}`);
+      if (k.throttledMs) parts.push(`${Math.ceil(k.throttledMs / 1000)}s 后恢复`);
+      if (k.lastStatus && k.lastStatus !== 200) parts.push(`最近 HTTP ${k.lastStatus}${k.lastError ? `：${k.lastError}` : ''}`);
+      lines.push(parts.join('  ·  '));
+    }
+  }
+  if ($('keyHealthOut')) $('keyHealthOut').textContent = lines.join('\n') || '未配置多个密钥（保存后生效）';
+}
+
+async function showKeyHealth(){
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: MSG.GET_KEY_HEALTH });
+    if (!resp?.ok) throw new Error(resp?.error || '读取失败');
+    renderKeyHealth(resp.profiles);
+  } catch (e) {
+    setStatus(e.message || String(e), false);
+  }
+}
+
+async function resetKeyHealth(){
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: MSG.RESET_KEY_HEALTH });
+    if (!resp?.ok) throw new Error(resp?.error || '操作失败');
+    renderKeyHealth(resp.profiles);
+    setStatus('已重新启用全部密钥');
+  } catch (e) {
+    setStatus(e.message || String(e), false);
+  }
+}
+
+// ---------- Cache management ----------
+function setCacheStatus(msg, ok=true){
+  const el = $('cacheStatus'); if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = ok ? 'var(--muted)' : 'var(--danger)';
+}
+
+async function cacheRequest(message, fallbackError){
+  const resp = await chrome.runtime.sendMessage(message);
+  if (!resp?.ok) throw new Error(resp?.error || fallbackError);
+  return resp;
+}
+
+function formatBytes(n){
+  const v = Number(n) || 0;
+  if (v < 1024) return `${v} B`;
+  if (v < 1024 * 1024) return `${(v / 1024).toFixed(1)} KB`;
+  return `${(v / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatTime(ms){
+  return ms ? new Date(ms).toLocaleString() : '—';
+}
+
+function cacheFilterUI(){
+  return {
+    query: $('cacheSearchQuery')?.value.trim() || '',
+    origin: $('cacheSearchOrigin')?.value.trim() || '',
+    sourceLang: $('cacheSearchSourceLang')?.value.trim() || '',
+    targetLang: $('cacheSearchTargetLang')?.value.trim() || ''
+  };
+}
+
+async function showCacheStats(){
+  try {
+    const { stats: st } = await cacheRequest({ type: MSG.GET_CACHE_STATS }, '读取失败');
+    const lines = [];
+    if (!st) {
+      lines.push('缓存未初始化');
+    } else {
+      lines.push(`状态：${st.enabled ? '已启用' : '已禁用'}${st.persistent ? '（内存 + IndexedDB）' : '（仅内存）'}`);
+      lines.push(`条目：${st.count}（内存 ${st.memory.count} / ${st.memory.size}）`);
+      if (st.persistent) lines.push(`占用：${formatBytes(st.bytes)} / ${formatBytes(st.maxBytes)}`);
+      const lookups = st.hits + st.misses;
+      lines.push(`命中率：${lookups ? `${(st.hitRate * 100).toFixed(1)}%（${st.hits} / ${lookups}${st.persistentHits ? `，其中持久层 ${st.persistentHits}` : ''}）` : '暂无查询'}`);
+      lines.push(`最久未使用条目：${formatTime(st.oldestAt)}`);
+    }
+    if ($('cacheStatsOut')) $('cacheStatsOut').textContent = lines.join('\n');
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  }
+}
+
+function renderCacheResults(entries, total){
+  const box = $('cacheResults'); if (!box) return;
+  box.textContent = '';
+  for (const e of entries || []) {
+    const item = document.createElement('div');
+    item.className = 'cache-item';
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = [`${e.sourceLang} → ${e.targetLang}`, [e.provider, e.model].filter(Boolean).join(' / '), e.origin, formatTime(e.at)].filter(Boolean).join('  ·  ');
+    const pair = document.createElement('div');
+    pair.className = 'pair';
+    const src = document.createElement('div');
+    src.textContent = e.source;
+    const dst = document.createElement('div');
+    dst.className = 'dst';
+    dst.textContent = e.target;
+    pair.append(src, dst);
+    const del = document.createElement('button');
+    del.className = 'danger';
+    del.textContent = '删除';
+    del.addEventListener('click', async () => {
+      try {
+        await cacheRequest({ type: MSG.DELETE_CACHE_ENTRIES, keys: [e.key] }, '删除失败');
+        item.remove();
+        setCacheStatus('已删除 1 条');
+      } catch (err) {
+        setCacheStatus(err.message || String(err), false);
+      }
+    });
+    item.append(meta, pair, del);
+    box.appendChild(item);
+  }
+  const shown = (entries || []).length;
+  setCacheStatus(total ? `共 ${total} 条匹配${total > shown ? `，显示最近 ${shown} 条` : ''}` : '没有匹配的缓存条目');
+}
+
+async function searchCache(){
+  try {
+    const resp = await cacheRequest({ type: MSG.SEARCH_CACHE, filter: cacheFilterUI() }, '搜索失败');
+    renderCacheResults(resp.entries, resp.total);
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  }
+}
+
+function searchCacheOnEnter(e){
+  if (e.key === 'Enter') searchCache();
+}
+
+async function purgeCacheByFilter(){
+  const { origin, sourceLang, targetLang } = cacheFilterUI();
+  if (!origin && !sourceLang && !targetLang) { setCacheStatus('请先填写语言对或站点', false); return; }
+  const desc = [sourceLang || targetLang ? `${sourceLang || '任意'} → ${targetLang || '任意'}` : '', origin].filter(Boolean).join('，');
+  if (!confirm(`确定删除 ${desc} 的全部缓存条目？`)) return;
+  try {
+    const resp = await cacheRequest({ type: MSG.PURGE_CACHE, filter: { origin, sourceLang, targetLang } }, '删除失败');
+    if ($('cacheResults')) $('cacheResults').textContent = '';
+    setCacheStatus(`已删除：内存 ${resp.memory || 0} 条，持久缓存 ${resp.persistent || 0} 条`);
+    showCacheStats();
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  }
+}
+
+async function clearCache(){
+  if (!confirm('确定清空全部缓存？')) return;
+  try {
+    await cacheRequest({ type: MSG.PURGE_CACHE, filter: { all: true } }, '清空失败');
+    if ($('cacheResults')) $('cacheResults').textContent = '';
+    setCacheStatus('已清空全部缓存');
+    showCacheStats();
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  }
+}
+
+async function purgeStaleCache(){
+  try {
+    const resp = await cacheRequest({ type: MSG.PURGE_STALE_CACHE }, '清理失败');
+    setCacheStatus(`已清理旧设置的缓存：内存 ${resp.memory || 0} 条，持久缓存 ${resp.persistent || 0} 条`);
+    showCacheStats();
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  }
+}
+
+async function exportCache(){
+  try {
+    const { data } = await cacheRequest({ type: MSG.EXPORT_CACHE }, '导出失败');
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `edge-ai-translator-cache-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    setCacheStatus(`已导出 ${data.entries.length} 条`);
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  }
+}
+
+function pickCacheImportFile(){
+  $('cacheImportFile')?.click();
+}
+
+async function importCacheFile(){
+  const input = $('cacheImportFile');
+  const file = input?.files?.[0];
+  if (!file) return;
+  try {
+    let data;
+    try { data = JSON.parse(await file.text()); } catch { throw new Error('文件不是有效的 JSON'); }
+    const resp = await cacheRequest({ type: MSG.IMPORT_CACHE, data }, '导入失败');
+    setCacheStatus(`已导入 ${resp.imported} 条${resp.skipped ? `，跳过 ${resp.skipped} 条（已过期或格式不符）` : ''}`);
+    showCacheStats();
+  } catch (e) {
+    setCacheStatus(e.message || String(e), false);
+  } finally {
+    input.value = '';
+  }
+}
+
+// ---------- Translation memory (TMX 1.4) ----------
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+// Inline elements whose content is native code (tags of the original format), not translatable text
+const TMX_CODE_ELEMENTS = new Set(['bpt', 'ept', 'it', 'ph', 'ut']);
+
+function setTmStatus(msg, ok=true){
+  const el = $('tmStatus'); if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = ok ? 'var(--muted)' : 'var(--danger)';
+}
+
+function tmxSegText(node){
+  let out = '';
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3 || child.nodeType === 4) out += child.nodeValue;
+    else if (child.nodeType === 1 && !TMX_CODE_ELEMENTS.has(child.localName)) out += tmxSegText(child);
+  }
+  return out;
+}
+
+function tmxLang(tuv){
+  return tuv.getAttributeNS(XML_NS, 'lang') || tuv.getAttribute('xml:lang') || tuv.getAttribute('lang') || '';
+}
+
+/**
+ * TMX -> [{ srcLang, tgtLang, src, tgt }]: every other variant of a <tu> is paired with its source variant
+ * (tu srclang, else header srclang; "*all*" = first variant).
+ */
+function parseTmx(xml){
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length || doc.documentElement?.localName !== 'tmx') {
+    throw new Error('不是有效的 TMX 文件');
+  }
+  const header = doc.getElementsByTagName('header')[0];
+  const headerSrc = header?.getAttribute('srclang') || '';
+  const units = [];
+  for (const tu of doc.getElementsByTagName('tu')) {
+    const variants = [];
+    for (const tuv of tu.children) {
+      if (tuv.localName !== 'tuv') continue;
+      const seg = Array.from(tuv.children).find((n) => n.localName === 'seg');
+      const lang = tmxLang(tuv);
+      const text = seg ? tmxSegText(seg) : '';
+      if (lang && text.trim()) variants.push({ lang, text });
+    }
+    const srcLang = tu.getAttribute('srclang') || headerSrc;
+    const source = srcLang && srcLang !== '*all*'
+      ? variants.find((v) => v.lang.toLowerCase() === srcLang.toLowerCase())
+      : variants[0];
+    if (!source) continue;
+    for (const v of variants) {
+      if (v !== source) units.push({ srcLang: source.lang, tgtLang: v.lang, src: source.text, tgt: v.text });
+    }
+  }
+  return units;
+}
+
+function xmlEscape(s){
+  // drop characters XML 1.0 cannot carry
+  return String(s ?? '').replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function tmxDate(ms){
+  return new Date(ms || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// [{ srcLang, tgtLang, src, tgt, at }] -> TMX 1.4 document (one <tu> per pair)
+function buildTmx(units){
+  const srcLangs = new Set(units.map((u) => u.srcLang));
+  const srclang = srcLangs.size === 1 ? Array.from(srcLangs)[0] : '*all*';
+  let version = '';
+  try { version = chrome.runtime.getManifest().version; } catch {}
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="Edge AI Translator" creationtoolversion="${xmlEscape(version)}" segtype="sentence" o-tmf="edge-ai-translator" adminlang="en-US" srclang="${xmlEscape(srclang)}" datatype="plaintext" creationdate="${tmxDate()}"/>`,
+    '  <body>'
+  ];
+  for (const u of units) {
+    lines.push(
+      `    <tu srclang="${xmlEscape(u.srcLang)}" creationdate="${tmxDate(u.at)}">`,
+      `      <tuv xml:lang="${xmlEscape(u.srcLang)}"><seg>${xmlEscape(u.src)}</seg></tuv>`,
+      `      <tuv xml:lang="${xmlEscape(u.tgtLang)}"><seg>${xmlEscape(u.tgt)}</seg></tuv>`,
+      '    </tu>'
+    );
+  }
+  lines.push('  </body>', '</tmx>', '');
+  return lines.join('\n');
+}
+
+async function tmRequest(message, fallbackError){
+  const resp = await chrome.runtime.sendMessage(message);
+  if (!resp?.ok) throw new Error(resp?.error || fallbackError);
+  return resp;
+}
+
+async function showTmStats(){
+  try {
+    const { stats: st } = await tmRequest({ type: MSG.GET_TM_STATS }, '读取失败');
+    const sel = $('tmPair');
+    if (sel) {
+      const current = sel.value;
+      sel.textContent = '';
+      const all = document.createElement('option');
+      all.value = '';
+      all.textContent = '全部语言对';
+      sel.appendChild(all);
+      for (const p of st.pairs) {
+        const opt = document.createElement('option');
+        opt.value = p.pair;
+        opt.textContent = `${p.srcLang} → ${p.tgtLang}（${p.count}）`;
+        sel.appendChild(opt);
+      }
+      sel.value = st.pairs.some((p) => p.pair === current) ? current : '';
+    }
+    const lines = [`共 ${st.total} 条`].concat(st.pairs.map((p) => `  ${p.srcLang} → ${p.tgtLang}：${p.count} 条`));
+    if ($('tmStatsOut')) $('tmStatsOut').textContent = lines.join('\n');
+  } catch (e) {
+    setTmStatus(e.message || String(e), false);
+  }
+}
+
+function pickTmImportFile(){
+  $('tmImportFile')?.click();
+}
+
+async function importTmFile(){
+  const input = $('tmImportFile');
+  const file = input?.files?.[0];
+  if (!file) return;
+  try {
+    const units = parseTmx(await file.text());
+    if (!units.length) throw new Error('TMX 中没有可用的译文对');
+    const resp = await tmRequest({ type: MSG.IMPORT_TM, units }, '导入失败');
+    setTmStatus(`已导入 ${resp.added} 条${resp.skipped ? `，跳过 ${resp.skipped} 条（语言缺失或译文为空）` : ''}`);
+    showTmStats();
+  } catch (e) {
+    setTmStatus(e.message || String(e), false);
+  } finally {
+    input.value = '';
+  }
+}
+
+async function exportTm(){
+  try {
+    const pair = $('tmPair')?.value || '';
+    const { units } = await tmRequest({ type: MSG.EXPORT_TM, pair }, '导出失败');
+    if (!units.length) throw new Error('翻译记忆为空');
+    const blob = new Blob([buildTmx(units)], { type: 'application/xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `edge-ai-translator-tm${pair ? `-${pair.replace('>', '_')}` : ''}-${new Date().toISOString().slice(0, 10)}.tmx`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    setTmStatus(`已导出 ${units.length} 条`);
+  } catch (e) {
+    setTmStatus(e.message || String(e), false);
+  }
+}
+
+async function clearTm(){
+  const pair = $('tmPair')?.value || '';
+  if (!confirm(pair ? `确定清空 ${pair.replace('>', ' → ')} 的翻译记忆？` : '确定清空全部翻译记忆？')) return;
+  try {
+    const resp = await tmRequest({ type: MSG.CLEAR_TM, pair }, '清空失败');
+    setTmStatus(`已删除 ${resp.removed} 条`);
+    showTmStats();
+  } catch (e) {
+    setTmStatus(e.message || String(e), false);
+  }
+}
+
 async function saveConfigUI(){
   try {
     const headers = jsonParseSafe($('headers')?.value, {});
@@ -237,7 +941,9 @@ async function saveConfigUI(){
       maxConcurrent: parseNumber($('providerLimitsMaxConcurrent')?.value, 2),
       rps: parseNumber($('providerLimitsRps')?.value, 1),
       burst: parseNumber($('providerLimitsBurst')?.value, 2),
-      jitterMs: parseJitterMs($('providerLimitsJitterMs')?.value, [50,200])
+      jitterMs: parseJitterMs($('providerLimitsJitterMs')?.value, [50,200]),
+      tpm: Math.max(0, parseNumber($('providerLimitsTpm')?.value, 0)),
+      adaptive: !!$('providerLimitsAdaptive')?.checked
     };
 
     // Retry
@@ -245,6 +951,7 @@ async function saveConfigUI(){
       maxRetries: parseNumber($('providerRetryMaxRetries')?.value, 5),
       baseDelayMs: parseNumber($('providerRetryBaseDelayMs')?.value, 800),
       maxDelayMs: parseNumber($('providerRetryMaxDelayMs')?.value, 20000),
+      maxRetryAfterMs: parseNumber($('providerRetryMaxRetryAfterMs')?.value, 120000),
       jitter: !!$('providerRetryJitter')?.checked,
       retryOn: parseRetryOn($('providerRetryRetryOn')?.value, [429,500,502,503,504])
     };
@@ -282,12 +989,23 @@ async function saveConfigUI(){
     const cache = {
       enabled: !!$('cacheEnabled')?.checked,
       size: parseNumber($('cacheSize')?.value, 500),
-      ttlMs: parseNumber($('cacheTtlMs')?.value, 12*60*60*1000)
+      ttlMs: parseNumber($('cacheTtlMs')?.value, 12*60*60*1000),
+      persistent: !!$('cachePersistent')?.checked,
+      maxBytes: clampInt(parseNumber($('cacheMaxMb')?.value, 20), 1, 500) * 1024 * 1024
     };
     // Cache clamps
     cache.size = clampInt(cache.size ?? 500, 50, 5000);
     cache.ttlMs = clampInt(cache.ttlMs ?? (12*60*60*1000), 5*60*1000, 24*60*60*1000);
 
+    // Translation memory
+    const tm = {
+      enabled: !!$('tmEnabled')?.checked,
+      fuzzyThreshold: Math.round(clamp(parseNumber($('tmFuzzyThreshold')?.value, 0.8), 0.5, 1) * 100) / 100,
+      fuzzyAction: ['reference', 'use', 'off'].includes($('tmFuzzyAction')?.value) ? $('tmFuzzyAction').value : 'reference',
+      maxReferences: clampInt(parseNumber($('tmMaxReferences')?.value, 3), 1, 10),
+      sendToCustom: !!$('tmSendToCustom')?.checked
+    };
+
     // Workflow min length
     const minTL = clampInt(parseNumber($('minTextLength')?.value, 2), 1, 20);
 
@@ -313,7 +1031,14 @@ async function saveConfigUI(){
       dynamicFlushMaxItems: clampInt(parseNumber($('behaviorDynamicFlushMaxItems')?.value, 40), 5, 80),
       dynamicFlushWindowMs: clampInt(parseNumber($('behaviorDynamicFlushWindowMs')?.value, 300), 100, 2000),
       pageInitialBatchSize: clampInt(parseNumber($('behaviorPageInitialBatchSize')?.value, 40), 10, 80),
-      dynamicObserveMs: clampInt(parseNumber($('behaviorDynamicObserveMs')?.value, 10000), 2000, 60000)
+      dynamicObserveMs: clampInt(parseNumber($('behaviorDynamicObserveMs')?.value, 10000), 2000, 60000),
+      displayMode: $('behaviorDisplayMode')?.value || 'replace',
+      bilingualStyle: $('behaviorBilingualStyle')?.value || 'muted',
+      segmentation: $('behaviorSegmentation')?.value || 'block',
+      pageMode: $('behaviorPageMode')?.value || 'full',
+      lazyPrefetchMarginPx: clampInt(parseNumber($('behaviorLazyPrefetchMarginPx')?.value, 600), 0, 5000),
+      lazyPrefetchMaxItems: clampInt(parseNumber($('behaviorLazyPrefetchMaxItems')?.value, 40), 0, 500),
+      translateAttributes: parseAttributeList($('behaviorTranslateAttributes')?.value)
     };
     const config = {
       provider: {
@@ -321,11 +1046,18 @@ async function saveConfigUI(){
         type: ($('providerType')?.value || 'custom'),
         endpoint: $('endpoint')?.value?.trim() || '',
         apiKey: $('apiKey')?.value?.trim() || '',
+        apiKeys: parseKeyList($('apiKeys')?.value),
+        keyRotation: $('keyRotation')?.value === 'least-loaded' ? 'least-loaded' : 'round-robin',
         headers,
         model: $('model')?.value?.trim() || '',
         limits: lim,
         retry,
-        batching
+        batching,
+        local: readLocalUI(),
+        deepl: { glossaryId: $('deeplGlossaryId')?.value?.trim() || '' },
+        azure: { region: $('azureRegion')?.value?.trim() || '' },
+        auth: readAuthUI(),
+        template: readTemplateUI()
       },
       workflow: {
         steps,
@@ -351,7 +1083,14 @@ async function saveConfigUI(){
         }
       },
       cache,
-      behavior
+      tm,
+      behavior,
+      siteRules: sanitizeSiteRules(parseJsonArray($('siteRules')?.value, [])),
+      providerProfiles: sanitizeProviderProfiles(parseJsonArray($('providerProfiles')?.value, [])),
+      routing: {
+        failover: !!$('routingFailover')?.checked,
+        rules: sanitizeRoutingRules(parseJsonArray($('routingRules')?.value, []))
+      }
     };
 
     const resp = await chrome.runtime.sendMessage({ type: MSG.SAVE_CONFIG, config });
@@ -389,11 +1128,12 @@ async function testTranslation(){
       targetLang: $('targetLang')?.value || 'zh-CN'
     };
 
-    const resp = await chrome.runtime.sendMessage({ type: MSG.REQUEST_TRANSLATION, texts: [text], params });
+    const resp = await chrome.runtime.sendMessage({ type: MSG.REQUEST_TRANSLATION, texts: [text], params, priority: 'interactive' });
     if (!resp?.ok) throw new Error(resp?.error || '测试失败');
     const out = Array.isArray(resp.outputs) ? resp.outputs[0] : '';
     if ($('testOut')) $('testOut').textContent = out ?? '';
-    setStatus('测试完成');
+    const servedBy = Array.isArray(resp.servedBy) ? resp.servedBy[0] : '';
+    setStatus(servedBy ? `测试完成（来源：${servedBy}）` : '测试完成');
     console.log('[Options] 测试完成', { input: text, output: out });
   } catch (e) {
     setStatus(e.message || String(e), false);
@@ -405,13 +1145,33 @@ function bindEvents(){
   $('saveBtn')?.addEventListener('click', saveConfigUI);
   $('resetBtn')?.addEventListener('click', resetDefaults);
   $('testBtn')?.addEventListener('click', testTranslation);
+  $('providerType')?.addEventListener('change', updateProviderPlaceholders);
+  $('listModelsBtn')?.addEventListener('click', listModels);
+  $('dryRunBtn')?.addEventListener('click', dryRunRequest);
+  $('routeLogBtn')?.addEventListener('click', showRouteLog);
+  $('keyHealthBtn')?.addEventListener('click', showKeyHealth);
+  $('keyResetBtn')?.addEventListener('click', resetKeyHealth);
+  $('cachePurgeStaleBtn')?.addEventListener('click', purgeStaleCache);
+  $('cacheStatsBtn')?.addEventListener('click', showCacheStats);
+  $('cacheSearchBtn')?.addEventListener('click', searchCache);
+  $('cacheSearchQuery')?.addEventListener('keydown', searchCacheOnEnter);
+  $('cachePurgeFilterBtn')?.addEventListener('click', purgeCacheByFilter);
+  $('cacheClearBtn')?.addEventListener('click', clearCache);
+  $('cacheExportBtn')?.addEventListener('click', exportCache);
+  $('cacheImportBtn')?.addEventListener('click', pickCacheImportFile);
+  $('cacheImportFile')?.addEventListener('change', importCacheFile);
+  $('tmStatsBtn')?.addEventListener('click', showTmStats);
+  $('tmImportBtn')?.addEventListener('click', pickTmImportFile);
+  $('tmImportFile')?.addEventListener('change', importTmFile);
+  $('tmExportBtn')?.addEventListener('click', exportTm);
+  $('tmClearBtn')?.addEventListener('click', clearTm);
 }
 
 document.addEventListener('DOMContentLoaded', () => {
   bindEvents();
-  loadConfigUI();
+  loadProviderOptions().then(loadConfigUI);
 });
 
 // 兜底：部分场景脚本加载快于 DOM
 bindEvents();
-loadConfigUI();
\ No newline at end of file
+loadProviderOptions().then(loadConfigUI);
\ No newline at end of file
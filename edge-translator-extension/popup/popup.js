@@ -2,8 +2,13 @@
 const MSG = {
   TRANSLATE_PAGE: 'TRANSLATE_PAGE',
   TRANSLATE_SELECTION: 'TRANSLATE_SELECTION',
+  TOGGLE_ORIGINAL: 'TOGGLE_ORIGINAL',
+  TOGGLE_LIVE: 'TOGGLE_LIVE',
+  START_PICKER: 'START_PICKER',
+  SET_DISPLAY_MODE: 'SET_DISPLAY_MODE',
   LOAD_CONFIG: 'LOAD_CONFIG',
-  SAVE_CONFIG: 'SAVE_CONFIG'
+  SAVE_CONFIG: 'SAVE_CONFIG',
+  LIST_PROVIDERS: 'LIST_PROVIDERS'
 };
 
 function $(id) { return document.getElementById(id); }
@@ -13,6 +18,24 @@ function setStatus(msg, ok = true) {
   el.style.color = ok ? 'var(--muted)' : 'var(--danger)';
 }
 
+// 从后台的 provider 注册表补全下拉选项；静态 <option> 作为兜底
+async function loadProviderOptions() {
+  const sel = $('providerType');
+  if (!sel) return;
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: MSG.LIST_PROVIDERS });
+    if (!resp?.ok || !Array.isArray(resp.providers)) return;
+    const known = new Set(Array.from(sel.options, o => o.value));
+    for (const p of resp.providers) {
+      if (!p?.id || known.has(p.id)) continue;
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.label || p.id;
+      sel.appendChild(opt);
+    }
+  } catch {}
+}
+
 async function loadConfig() {
   try {
     const resp = await chrome.runtime.sendMessage({ type: MSG.LOAD_CONFIG });
@@ -21,6 +44,8 @@ async function loadConfig() {
     $('sourceLang').value = (cfg?.workflow?.sourceLang || 'auto');
     $('targetLang').value = (cfg?.workflow?.targetLang || 'zh-CN');
     $('providerType').value = (cfg?.provider?.type || 'custom');
+    $('displayMode').value = (cfg?.behavior?.displayMode || 'replace');
+    await loadSiteRule(cfg);
     setStatus('配置已加载');
   } catch (e) {
     setStatus(e.message || String(e), false);
@@ -34,7 +59,8 @@ async function saveConfig() {
       workflow: {
         sourceLang: $('sourceLang').value || 'auto',
         targetLang: $('targetLang').value || 'zh-CN'
-      }
+      },
+      behavior: { displayMode: $('displayMode').value || 'replace' }
     };
     const resp = await chrome.runtime.sendMessage({ type: MSG.SAVE_CONFIG, config: cfg });
     if (!resp?.ok) throw new Error(resp?.error || '保存失败');
@@ -123,6 +149,109 @@ async function triggerTranslateSelection() {
   }
 }
 
+async function triggerPickElement() {
+  const tab = await getActiveTab();
+  try {
+    await ensureInjected(tab);
+    // 选择器只在顶层框架运行；关闭弹窗以便在页面上点选
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: MSG.START_PICKER }, { frameId: 0 });
+    if (resp && resp.ok === false) throw new Error('正在翻译，请完成或取消后再选择区域');
+    window.close();
+  } catch (e) {
+    setStatus(e.message || '启动区域选择失败', false);
+  }
+}
+
+async function triggerToggleOriginal() {
+  const tab = await getActiveTab();
+  try {
+    await ensureInjected(tab);
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: MSG.TOGGLE_ORIGINAL });
+    if (resp && resp.count === 0) setStatus('当前页面尚未翻译');
+    else setStatus(resp?.showingOriginal ? '已显示原文' : '已显示译文');
+  } catch (e) {
+    setStatus(e.message || '切换原文/译文失败', false);
+  }
+}
+
+async function triggerToggleLive() {
+  const tab = await getActiveTab();
+  try {
+    await ensureInjected(tab);
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: MSG.TOGGLE_LIVE });
+    if (resp && resp.ok === false) setStatus('当前站点已设置为从不翻译', false);
+    else setStatus(resp?.liveMode ? '实时翻译已开启（再次点击关闭）' : '实时翻译已关闭');
+  } catch (e) {
+    setStatus(e.message || '切换实时翻译失败', false);
+  }
+}
+
+async function applyDisplayMode() {
+  const tab = await getActiveTab();
+  try {
+    if (!tab?.id || !canInject(tab.url || '')) return;
+    if (!(await pingContent(tab.id))) return; // 未注入说明尚未翻译，保存后下次翻译生效
+    await chrome.tabs.sendMessage(tab.id, { type: MSG.SET_DISPLAY_MODE, mode: $('displayMode').value });
+    setStatus('已切换显示方式（保存后作为默认）');
+  } catch (e) {
+    setStatus(e.message || '切换显示方式失败', false);
+  }
+}
+
+// ---------- Site rule for the current tab ----------
+function hostOf(url) {
+  try {
+    const u = new URL(url || '');
+    return /^https?:$/.test(u.protocol) ? u.hostname.toLowerCase() : '';
+  } catch {
+    return '';
+  }
+}
+
+function isValidSelector(sel) {
+  if (!sel) return true;
+  try { document.createDocumentFragment().querySelector(sel); return true; } catch { return false; }
+}
+
+async function loadSiteRule(cfg) {
+  const tab = await getActiveTab();
+  const host = hostOf(tab?.url);
+  $('siteHost').textContent = host || '（当前页面不支持）';
+  $('saveSiteRuleBtn').disabled = !host;
+  const rule = (Array.isArray(cfg?.siteRules) ? cfg.siteRules : []).find((r) => r?.pattern === host) || {};
+  $('siteAutoTranslate').checked = !!rule.autoTranslate;
+  $('siteNeverTranslate').checked = !!rule.neverTranslate;
+  $('siteExclude').value = rule.exclude || '';
+  $('siteInclude').value = rule.include || '';
+}
+
+async function saveSiteRule() {
+  try {
+    const tab = await getActiveTab();
+    const host = hostOf(tab?.url);
+    if (!host) throw new Error('当前页面不支持站点规则');
+    const rule = {
+      pattern: host,
+      autoTranslate: $('siteAutoTranslate').checked,
+      neverTranslate: $('siteNeverTranslate').checked,
+      include: $('siteInclude').value.trim(),
+      exclude: $('siteExclude').value.trim()
+    };
+    if (!isValidSelector(rule.include) || !isValidSelector(rule.exclude)) throw new Error('CSS 选择器无效');
+    const resp = await chrome.runtime.sendMessage({ type: MSG.LOAD_CONFIG });
+    if (!resp?.ok) throw new Error(resp?.error || '加载配置失败');
+    const rules = (Array.isArray(resp.config?.siteRules) ? resp.config.siteRules : []).filter((r) => r?.pattern !== host);
+    const empty = !rule.autoTranslate && !rule.neverTranslate && !rule.include && !rule.exclude;
+    if (!empty) rules.push(rule);
+    // arrays are replaced, not merged: send the whole list
+    const saved = await chrome.runtime.sendMessage({ type: MSG.SAVE_CONFIG, config: { siteRules: rules } });
+    if (!saved?.ok) throw new Error(saved?.error || '保存失败');
+    setStatus(empty ? `已清除 ${host} 的站点规则` : `已保存 ${host} 的站点规则（下次翻译或刷新页面后生效）`);
+  } catch (e) {
+    setStatus(e.message || String(e), false);
+  }
+}
+
 function openOptions() {
   try {
     chrome.runtime.openOptionsPage();
@@ -135,7 +264,12 @@ function openOptions() {
 document.addEventListener('DOMContentLoaded', () => {
   $('translatePageBtn')?.addEventListener('click', triggerTranslatePage);
   $('translateSelBtn')?.addEventListener('click', triggerTranslateSelection);
+  $('toggleOriginalBtn')?.addEventListener('click', triggerToggleOriginal);
+  $('pickElementBtn')?.addEventListener('click', triggerPickElement);
+  $('toggleLiveBtn')?.addEventListener('click', triggerToggleLive);
+  $('displayMode')?.addEventListener('change', applyDisplayMode);
   $('saveBtn')?.addEventListener('click', saveConfig);
   $('openOptionsBtn')?.addEventListener('click', openOptions);
-  loadConfig();
+  $('saveSiteRuleBtn')?.addEventListener('click', saveSiteRule);
+  loadProviderOptions().then(loadConfig);
 });
\ No newline at end of file
@@ -10,8 +10,14 @@
 'use strict';
 
 import { createScheduler, scheduledFetch, withRetry, AbortError as SchedulerAbortError } from './scheduler.js';
-import { LRUCache, makeCacheKey } from './cache.js';
-import { composePrompt, splitInputsByBudget, isSkippableSegment } from './prompt.js';
+import { makeCacheKey, parseCacheKey, fnv1a32, settingsFingerprint, cacheKeyFingerprint } from './cache.js';
+import { TieredCache } from './persistent-cache.js';
+import { TranslationMemory } from './tm.js';
+import { splitInputsByBudget, isSkippableSegment, estimateTokens, estimateBatchTokens } from './prompt.js';
+import { getProvider, listProviders } from './providers/index.js';
+import { safeReadJson, httpError, getApiKey, getApiKeys } from './providers/common.js';
+import { signRequest } from './providers/auth.js';
+import { listProfiles, resolveRoute, routeKey } from './router.js';
 
 // ---------- Constants ----------
 
@@ -21,11 +27,23 @@ const DEFAULT_CONFIG = {
     type: 'custom',
     endpoint: '',      // e.g. https://your.api/translate
     apiKey: '',
+    apiKeys: [],       // several keys of one provider: requests rotate across them, each with its own rate limit
+    keyRotation: 'round-robin', // 'round-robin' | 'least-loaded'
     headers: {},       // extra headers if needed
     model: '',         // optional model name
-    limits: { maxConcurrent: 2, rps: 1, burst: 2, jitterMs: [50, 200] },
-    retry: { maxRetries: 5, baseDelayMs: 800, maxDelayMs: 20000, jitter: true, retryOn: [429, 500, 502, 503, 504] },
-    batching: { enabled: true, mode: 'json-array', maxItems: 20, maxChars: 8000, tokenBudget: 2000 }
+    limits: { maxConcurrent: 2, rps: 1, burst: 2, jitterMs: [50, 200], adaptive: true, tpm: 0 }, // adaptive: slow down on rate-limit headers / 429; tpm 0 = no token limit
+    retry: { maxRetries: 5, baseDelayMs: 800, maxDelayMs: 20000, maxRetryAfterMs: 120000, jitter: true, retryOn: [429, 500, 502, 503, 504] },
+    batching: { enabled: true, mode: 'json-array', maxItems: 20, maxChars: 8000, tokenBudget: 2000 },
+    local: { server: 'ollama', numCtx: 0, keepAlive: '' },  // local provider: 'ollama' | 'llamacpp'; numCtx 0 = server default
+    deepl: { glossaryId: '' },  // fixed DeepL glossary; empty = upload workflow.glossary automatically
+    azure: { region: '' },      // Azure Translator resource region (required for regional/multi-service keys)
+    auth: {                     // see src/providers/auth.js; 'default' keeps each provider's own auth
+      scheme: 'default', headerName: 'x-api-key', headerPrefix: '', queryParam: 'key', appId: '', secret: '', hmac: {}
+    },
+    template: {                 // templated provider, see src/providers/templated.js
+      method: 'POST', url: '', query: {}, body: '{"inputs": {{inputs}}, "target": "{{targetLang}}"}',
+      batch: true, maxItems: 50, outputPath: 'outputs', langMap: {}, errorPath: '', okPath: '', okValue: ''
+    }
   },
   workflow: {
     steps: ['translate'], // placeholder for future pipeline
@@ -53,21 +71,47 @@ const DEFAULT_CONFIG = {
   cache: {
     enabled: true,
     size: 500,
-    ttlMs: 12 * 60 * 60 * 1000
+    ttlMs: 12 * 60 * 60 * 1000,
+    persistent: true,            // IndexedDB tier, survives service worker suspension
+    maxBytes: 20 * 1024 * 1024   // IndexedDB size budget
+  },
+  tm: {
+    enabled: true,
+    fuzzyThreshold: 0.8,         // similarity = 1 - edit distance / longer length (normalized text)
+    fuzzyAction: 'reference',    // 'reference': pass matches to LLM providers as reference translations | 'use': use the best match | 'off'
+    maxReferences: 3,            // fuzzy matches per segment
+    sendToCustom: false          // add matches to the custom provider's request body (references field)
   },
   behavior: {
-    selectionShowBubble: true
-  }
+    selectionShowBubble: true,
+    displayMode: 'replace',   // 'replace' | 'bilingual-below' | 'bilingual-inline'
+    bilingualStyle: 'muted',  // 'plain' | 'muted' | 'underline' | 'highlight' | 'quote'
+    segmentation: 'block',    // 'block'（块级分段 + 行内占位标签）| 'node'（逐文本节点）
+    pageMode: 'full',         // 'full'（整页一次性翻译）| 'lazy'（视口优先，滚动时按需翻译）
+    lazyPrefetchMarginPx: 600,
+    lazyPrefetchMaxItems: 40,
+    translateAttributes: ['title', 'alt', 'placeholder', 'value'] // value 仅用于按钮类 input；可追加 aria-label
+  },
+  // 站点规则：[{ pattern: 'example.com' | '*.example.com', autoTranslate, neverTranslate, include, exclude }]
+  siteRules: [],
+  // Extra provider profiles for routing/failover; the primary profile is `provider` above (see src/router.js)
+  providerProfiles: [],
+  routing: { failover: true, rules: [] }
 };
 
 const MENU_IDS = {
   TRANSLATE_PAGE: 'edge_ai_translate_page',
-  TRANSLATE_SELECTION: 'edge_ai_translate_selection'
+  TRANSLATE_SELECTION: 'edge_ai_translate_selection',
+  TOGGLE_ORIGINAL: 'edge_ai_toggle_original',
+  PICK_ELEMENT: 'edge_ai_pick_element'
 };
 
 const COMMANDS = {
   TRANSLATE_PAGE: 'translate_page',
-  TRANSLATE_SELECTION: 'translate_selection'
+  TRANSLATE_SELECTION: 'translate_selection',
+  TOGGLE_ORIGINAL: 'toggle_original',
+  TOGGLE_LIVE: 'toggle_live',
+  PICK_ELEMENT: 'pick_element'
 };
 
 const MSG = {
@@ -75,6 +119,26 @@ const MSG = {
   TRANSLATE_SELECTION: 'TRANSLATE_SELECTION',
   REQUEST_TRANSLATION: 'REQUEST_TRANSLATION',
   CANCEL_TRANSLATION: 'CANCEL_TRANSLATION',
+  TOGGLE_ORIGINAL: 'TOGGLE_ORIGINAL',
+  TOGGLE_LIVE: 'TOGGLE_LIVE',
+  START_PICKER: 'START_PICKER',
+  LIST_PROVIDERS: 'LIST_PROVIDERS',
+  LIST_MODELS: 'LIST_MODELS',
+  DRY_RUN_PROVIDER: 'DRY_RUN_PROVIDER',
+  GET_ROUTE_LOG: 'GET_ROUTE_LOG',
+  GET_KEY_HEALTH: 'GET_KEY_HEALTH',
+  RESET_KEY_HEALTH: 'RESET_KEY_HEALTH',
+  PURGE_STALE_CACHE: 'PURGE_STALE_CACHE',
+  GET_CACHE_STATS: 'GET_CACHE_STATS',
+  SEARCH_CACHE: 'SEARCH_CACHE',
+  DELETE_CACHE_ENTRIES: 'DELETE_CACHE_ENTRIES',
+  PURGE_CACHE: 'PURGE_CACHE',
+  EXPORT_CACHE: 'EXPORT_CACHE',
+  IMPORT_CACHE: 'IMPORT_CACHE',
+  GET_TM_STATS: 'GET_TM_STATS',
+  IMPORT_TM: 'IMPORT_TM',
+  EXPORT_TM: 'EXPORT_TM',
+  CLEAR_TM: 'CLEAR_TM',
   LOAD_CONFIG: 'LOAD_CONFIG',
   SAVE_CONFIG: 'SAVE_CONFIG'
 };
@@ -82,6 +146,7 @@ const MSG = {
 // ---------- Infra: scheduler, cache, job aborts ----------
 let schedulerInstance = null;
 let cacheInstance = null;
+let tmInstance = null;
 const jobControllers = new Map();
 
 function ensureInfra(cfg) {
@@ -92,14 +157,19 @@ function ensureInfra(cfg) {
        maxConcurrent: limits.maxConcurrent ?? 2,
        rps: limits.rps ?? 1,
        burst: limits.burst ?? 2,
-       jitterMs: limits.jitterMs ?? [50, 200]
+       jitterMs: limits.jitterMs ?? [50, 200],
+       adaptive: limits.adaptive !== false,
+       tpm: limits.tpm ?? 0,
+       onKeyDisabled: persistDisabledKey
      });
    } else {
      schedulerInstance.updateConfig({
        maxConcurrent: limits.maxConcurrent ?? 2,
        rps: limits.rps ?? 1,
        burst: limits.burst ?? 2,
-       jitterMs: limits.jitterMs ?? [50, 200]
+       jitterMs: limits.jitterMs ?? [50, 200],
+       adaptive: limits.adaptive !== false,
+       tpm: limits.tpm ?? 0
      });
    }
  } catch {}
@@ -107,19 +177,25 @@ function ensureInfra(cfg) {
  try {
    const cacheCfg = cfg?.cache || {};
    if (!cacheInstance) {
-     cacheInstance = new LRUCache({
+     cacheInstance = new TieredCache({
        enabled: cacheCfg.enabled !== false,
        size: cacheCfg.size ?? 500,
-       ttlMs: cacheCfg.ttlMs ?? 12 * 60 * 60 * 1000
+       ttlMs: cacheCfg.ttlMs ?? 12 * 60 * 60 * 1000,
+       persistent: cacheCfg.persistent !== false,
+       maxBytes: cacheCfg.maxBytes ?? 20 * 1024 * 1024
      });
    } else {
      cacheInstance.updateOptions({
        enabled: cacheCfg.enabled !== false,
        size: cacheCfg.size ?? 500,
-       ttlMs: cacheCfg.ttlMs ?? 12 * 60 * 60 * 1000
+       ttlMs: cacheCfg.ttlMs ?? 12 * 60 * 60 * 1000,
+       persistent: cacheCfg.persistent !== false,
+       maxBytes: cacheCfg.maxBytes ?? 20 * 1024 * 1024
      });
    }
  } catch {}
+
+ if (!tmInstance) tmInstance = new TranslationMemory();
 }
 
 function registerController(jobId, controller) {
@@ -208,6 +284,18 @@ chrome.runtime.onInstalled.addListener(async () => {
       title: 'Translate selection (AI)',
       contexts: ['selection']
     });
+
+    chrome.contextMenus.create({
+      id: MENU_IDS.TOGGLE_ORIGINAL,
+      title: 'Show original / translation (AI)',
+      contexts: ['page']
+    });
+
+    chrome.contextMenus.create({
+      id: MENU_IDS.PICK_ELEMENT,
+      title: 'Translate this region (AI)',
+      contexts: ['page', 'link', 'image']
+    });
   } catch (e) {
     console.warn('[Edge AI Translator] onInstalled error:', eToString(e));
   }
@@ -231,6 +319,11 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         // Fallback: ask content script to read current selection
         await chrome.tabs.sendMessage(tab.id, { type: MSG.TRANSLATE_SELECTION });
       }
+    } else if (info.menuItemId === MENU_IDS.TOGGLE_ORIGINAL) {
+      await chrome.tabs.sendMessage(tab.id, { type: MSG.TOGGLE_ORIGINAL });
+    } else if (info.menuItemId === MENU_IDS.PICK_ELEMENT) {
+      // only the frame that was right-clicked starts the picker, pre-selecting the clicked element
+      await chrome.tabs.sendMessage(tab.id, { type: MSG.START_PICKER, fromContextMenu: true }, { frameId: info.frameId ?? 0 });
     }
   } catch (e) {
     console.warn('[Edge AI Translator] contextMenus.onClicked error:', eToString(e));
@@ -258,6 +351,12 @@ chrome.commands.onCommand.addListener(async (command) => {
       await chrome.tabs.sendMessage(tab.id, { type: MSG.TRANSLATE_PAGE });
     } else if (command === COMMANDS.TRANSLATE_SELECTION) {
       await chrome.tabs.sendMessage(tab.id, { type: MSG.TRANSLATE_SELECTION });
+    } else if (command === COMMANDS.TOGGLE_ORIGINAL) {
+      await chrome.tabs.sendMessage(tab.id, { type: MSG.TOGGLE_ORIGINAL });
+    } else if (command === COMMANDS.TOGGLE_LIVE) {
+      await chrome.tabs.sendMessage(tab.id, { type: MSG.TOGGLE_LIVE });
+    } else if (command === COMMANDS.PICK_ELEMENT) {
+      await chrome.tabs.sendMessage(tab.id, { type: MSG.START_PICKER }, { frameId: 0 });
     }
   } catch (e) {
     console.warn('[Edge AI Translator] commands.onCommand error:', eToString(e));
@@ -278,8 +377,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           ensureInfra(cfg);
           const jobId = message.jobId;
           const texts = Array.isArray(message.texts) ? message.texts : [(message.text || '').toString()];
-          const outputs = await translateTextsV2(texts, cfg, message.params || {}, jobId);
-          sendResponse({ ok: true, outputs });
+          // priority: 'interactive' | 'visible' | 'background' | 'dynamic' (see scheduler.js PRIORITY)
+          // origin of the requesting frame is recorded with cache entries (per-site purge)
+          const params = { ...(message.params || {}), origin: senderOrigin(sender) };
+          const { outputs, servedBy } = await translateTextsV2(texts, cfg, params, jobId, message.priority);
+          sendResponse({ ok: true, outputs, servedBy });
         } catch (e) {
           sendResponse({ ok: false, error: eToString(e) });
         }
@@ -302,156 +404,151 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 
     // Options page requests
-    if (message.type === MSG.LOAD_CONFIG) {
+    if (message.type === MSG.LIST_PROVIDERS) {
+      sendResponse({ ok: true, providers: listProviders() });
+      return;
+    }
+
+    if (message.type === MSG.LIST_MODELS) {
       (async () => {
-        const cfg = await getConfig();
-        sendResponse({ ok: true, config: cfg });
+        try {
+          const cfg = await getConfig();
+          ensureInfra(cfg);
+          // allow listing with unsaved provider fields from the options page
+          const models = await listProviderModels(message.provider ? deepMerge(cfg, { provider: message.provider }) : cfg);
+          sendResponse({ ok: true, models });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
       })();
       return true;
     }
 
-    if (message.type === MSG.SAVE_CONFIG) {
+    if (message.type === MSG.GET_ROUTE_LOG) {
+      sendResponse({ ok: true, log: routeLog.slice() });
+      return;
+    }
+
+    if (message.type === MSG.GET_KEY_HEALTH) {
       (async () => {
         try {
-          const saved = await setConfig(message.config || {});
-          try { ensureInfra(saved); } catch {}
-          sendResponse({ ok: true, config: saved });
+          const cfg = await getConfig();
+          ensureInfra(cfg);
+          sendResponse({ ok: true, profiles: await keyHealth(cfg) });
         } catch (e) {
           sendResponse({ ok: false, error: eToString(e) });
         }
       })();
       return true;
     }
-  } catch (e) {
-    console.warn('[Edge AI Translator] onMessage error:', eToString(e));
-    // do not throw, just ignore to avoid crashing service worker
-  }
-});
-
-// ---------- Provider Integration ----------
-
-/**
- * Translate an array of texts using configured provider.
- * Minimal contract:
- * - If provider.endpoint is empty, returns demo outputs for wiring test.
- * - POST { inputs: string[], sourceLang, targetLang, model, workflow } -> { outputs: string[] } or { data: [] }
- */
-async function translateTexts(texts, config, params) {
-  const providerType = (config?.provider?.type || 'custom').trim().toLowerCase();
-  const sourceLang = params?.sourceLang || config?.workflow?.sourceLang || 'auto';
-  const targetLang = params?.targetLang || config?.workflow?.targetLang || 'zh-CN';
-
-  if (providerType === 'openai-compatible') {
-    return await openAiCompatibleTranslate(texts, config, { sourceLang, targetLang });
-  }
-  // default: custom
-  return await customTranslate(texts, config, { sourceLang, targetLang });
 
-  async function customTranslate(texts, config, { sourceLang, targetLang }) {
-    const endpoint = (config?.provider?.endpoint || '').trim();
-    const model = (config?.provider?.model || '').trim();
-
-    // Demo mode (no endpoint configured): echo back with marker to verify wiring.
-    if (!endpoint) {
-      return texts.map((t) => `[demo] ${t}`);
+    if (message.type === MSG.GET_CACHE_STATS || message.type === MSG.SEARCH_CACHE ||
+        message.type === MSG.DELETE_CACHE_ENTRIES || message.type === MSG.PURGE_CACHE ||
+        message.type === MSG.EXPORT_CACHE || message.type === MSG.IMPORT_CACHE) {
+      (async () => {
+        try {
+          const cfg = await getConfig();
+          ensureInfra(cfg);
+          let result;
+          if (message.type === MSG.GET_CACHE_STATS) result = { stats: await cacheStats() };
+          else if (message.type === MSG.SEARCH_CACHE) result = await searchCache(message.filter || {});
+          else if (message.type === MSG.DELETE_CACHE_ENTRIES) result = { deleted: await deleteCacheEntries(message.keys) };
+          else if (message.type === MSG.PURGE_CACHE) result = await purgeCache(message.filter || {});
+          else if (message.type === MSG.EXPORT_CACHE) result = { data: await exportCache() };
+          else result = await importCache(message.data);
+          sendResponse({ ok: true, ...result });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
+      })();
+      return true;
     }
 
-    const baseHeaders = { 'content-type': 'application/json' };
-    const extraHeaders = isObject(config?.provider?.headers) ? config.provider.headers : {};
-    const authHeader = (config?.provider?.apiKey || '').trim()
-      ? { authorization: `Bearer ${config.provider.apiKey.trim()}` }
-      : {};
-    const headers = { ...baseHeaders, ...extraHeaders, ...authHeader };
-
-    const body = {
-      inputs: texts,
-      sourceLang,
-      targetLang,
-      model: model || undefined,
-      workflow: Array.isArray(config?.workflow?.steps) ? config.workflow.steps : ['translate']
-    };
-
-    const res = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const text = await safeReadText(res);
-      throw new Error(`Provider HTTP ${res.status}: ${text.slice(0, 200)}`);
+    if (message.type === MSG.GET_TM_STATS || message.type === MSG.IMPORT_TM ||
+        message.type === MSG.EXPORT_TM || message.type === MSG.CLEAR_TM) {
+      (async () => {
+        try {
+          const cfg = await getConfig();
+          ensureInfra(cfg);
+          let result;
+          if (message.type === MSG.GET_TM_STATS) result = { stats: await tmStats() };
+          else if (message.type === MSG.IMPORT_TM) result = await tmInstance.add(message.units, 'tmx');
+          else if (message.type === MSG.EXPORT_TM) result = { units: await tmInstance.units(message.pair || '') };
+          else result = { removed: await tmInstance.clear(message.pair || '') };
+          sendResponse({ ok: true, ...result });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
+      })();
+      return true;
     }
 
-    const data = await safeReadJson(res);
-    const raw = Array.isArray(data?.outputs)
-      ? data.outputs
-      : Array.isArray(data?.data)
-        ? data.data
-        : null;
-
-    if (!raw) throw new Error('Invalid provider response format; expected outputs[] or data[]');
-
-    return raw.map((o, i) => {
-      if (typeof o === 'string') return o;
-      if (isObject(o) && typeof o.text === 'string') return o.text;
-      return String(o ?? texts[i] ?? '');
-    });
-  }
+    if (message.type === MSG.PURGE_STALE_CACHE) {
+      (async () => {
+        try {
+          const cfg = await getConfig();
+          ensureInfra(cfg);
+          sendResponse({ ok: true, ...(await purgeStaleCache(cfg)) });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
+      })();
+      return true;
+    }
 
-  async function openAiCompatibleTranslate(texts, config, { sourceLang, targetLang }) {
-    const endpoint = (config?.provider?.endpoint || 'https://api.openai.com/v1/chat/completions').trim();
-    const model = (config?.provider?.model || 'gpt-3.5-turbo').trim();
-    const baseHeaders = { 'content-type': 'application/json' };
-    const extraHeaders = isObject(config?.provider?.headers) ? config.provider.headers : {};
-    const apiKey = (config?.provider?.apiKey || '').trim();
-    const authHeader = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
-    const headers = { ...baseHeaders, ...extraHeaders, ...authHeader };
-
-    if (!apiKey) {
-      throw new Error('openai-compatible provider requires apiKey');
+    if (message.type === MSG.RESET_KEY_HEALTH) {
+      (async () => {
+        try {
+          const cfg = await getConfig();
+          ensureInfra(cfg);
+          await resetKeyHealth(cfg, message.profile, message.index);
+          sendResponse({ ok: true, profiles: await keyHealth(cfg) });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
+      })();
+      return true;
     }
 
-    const outputs = [];
-    for (const t of texts) {
-      const body = {
-        model: model,
-        temperature: 0,
-        messages: [
-          {
-            role: 'system',
-            content: `You are a translation engine. Translate from ${sourceLang} to ${targetLang}. Preserve original formatting, punctuation, inline markup, and variables/placeholders. Output only the translated text.`
-          },
-          { role: 'user', content: String(t ?? '') }
-        ]
-      };
-
-      const res = await fetch(endpoint, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(body)
-      });
+    if (message.type === MSG.DRY_RUN_PROVIDER) {
+      (async () => {
+        try {
+          const cfg = await getConfig();
+          const merged = message.provider ? deepMerge(cfg, { provider: message.provider }) : cfg;
+          const texts = Array.isArray(message.texts) && message.texts.length ? message.texts.map(String) : ['Hello, world!'];
+          sendResponse({ ok: true, request: await dryRunProvider(merged, texts, message.params || {}) });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
+      })();
+      return true;
+    }
 
-      if (!res.ok) {
-        const text = await safeReadText(res);
-        outputs.push(`[error] HTTP ${res.status}: ${text.slice(0, 200)}`);
-        continue;
-      }
+    if (message.type === MSG.LOAD_CONFIG) {
+      (async () => {
+        const cfg = await getConfig();
+        sendResponse({ ok: true, config: cfg });
+      })();
+      return true;
+    }
 
-      const data = await safeReadJson(res);
-      const content = data?.choices?.[0]?.message?.content;
-      outputs.push(typeof content === 'string' ? content : String(content ?? ''));
+    if (message.type === MSG.SAVE_CONFIG) {
+      (async () => {
+        try {
+          const saved = await setConfig(message.config || {});
+          try { ensureInfra(saved); } catch {}
+          sendResponse({ ok: true, config: saved });
+        } catch (e) {
+          sendResponse({ ok: false, error: eToString(e) });
+        }
+      })();
+      return true;
     }
-    return outputs;
+  } catch (e) {
+    console.warn('[Edge AI Translator] onMessage error:', eToString(e));
+    // do not throw, just ignore to avoid crashing service worker
   }
-}
-
-async function safeReadText(res) {
-  try { return await res.text(); } catch { return ''; }
-}
-
-async function safeReadJson(res) {
-  try { return await res.json(); } catch { return {}; }
-}
+});
 
 // ---------- Translation Orchestrator (v2): caching, batching, scheduler ----------
 
@@ -462,32 +559,67 @@ function langEquals(a, b) {
   return x === y || x.startsWith(y) || y.startsWith(x);
 }
 
-function getRetryOpts(cfg) {
+function getRetryOpts(cfg, adapter) {
   const r = cfg?.provider?.retry || {};
   const retryOn = Array.isArray(r.retryOn) ? r.retryOn : [429, 500, 502, 503, 504];
+  const classify = adapter?.classifyError || (() => 'unknown');
   return {
     maxRetries: typeof r.maxRetries === 'number' ? r.maxRetries : 5,
     baseDelayMs: typeof r.baseDelayMs === 'number' ? r.baseDelayMs : 800,
     maxDelayMs: typeof r.maxDelayMs === 'number' ? r.maxDelayMs : 20000,
+    maxRetryAfterMs: typeof r.maxRetryAfterMs === 'number' ? r.maxRetryAfterMs : 120000,
     jitter: r.jitter !== false,
     retryOn,
     isRetriable: (e) => {
       if (!e) return false;
-      if (e.name === 'AbortError' || e.name === 'SchedulerAbortError') return false;
+      if (classify(e) === 'abort') return false;
       const status = typeof e.status === 'number' ? e.status : 0;
       return status ? retryOn.includes(status) : true; // network/type errors retriable
     }
   };
 }
 
-async function translateTextsV2(texts, config, params = {}, jobId) {
-  const providerType = (config?.provider?.type || 'custom').trim().toLowerCase();
+// Cache key of a translation produced by one profile (provider, model and output-affecting settings)
+function segmentCacheKey(profileConfig, sourceLang, targetLang, text) {
+  const provider = profileConfig?.provider || {};
+  return makeCacheKey({
+    provider: (provider.type || 'custom').trim().toLowerCase(),
+    model: String(provider.model || ''),
+    settings: settingsFingerprint(profileConfig),
+    sourceLang, targetLang, text
+  });
+}
+
+// Returns { outputs, servedBy }: servedBy[i] is the profile id that produced outputs[i],
+// or 'tm' / 'tm-fuzzy' (translation memory), 'cache', 'skip'.
+async function translateTextsV2(texts, config, params = {}, jobId, priority) {
+  // the call stops waiting as soon as its job is cancelled; shared provider work only stops when nobody waits for it.
+  // One token per call: a page job sends many REQUEST_TRANSLATION messages under the same jobId.
+  const job = { token: Symbol('call'), cancel: new AbortController(), batches: new Set() };
+  registerController(jobId, job.cancel);
+  job.cancel.signal.addEventListener('abort', () => leaveBatches(job), { once: true });
+  try {
+    return await translateSegments(texts, config, params, job, priority);
+  } finally {
+    unregisterController(jobId, job.cancel);
+    leaveBatches(job);
+  }
+}
+
+async function translateSegments(texts, config, params, job, priority) {
   const sourceLang = params?.sourceLang || config?.workflow?.sourceLang || 'auto';
   const targetLang = params?.targetLang || config?.workflow?.targetLang || 'zh-CN';
   const minLen = config?.workflow?.minTextLength ?? 2;
+  const profiles = listProfiles(config, DEFAULT_CONFIG.provider);
+  const routeParams = { trigger: params?.trigger || '', sourceLang, targetLang };
 
   const outs = new Array(texts.length);
+  const servedBy = new Array(texts.length);
+  const groups = new Map(); // route key -> { chain, items: [{ idx, text, key, references }] }
   const pending = [];
+  const waits = []; // { idx, entry | item }: every segment sent (or already in flight) to a provider
+  const owned = new Map(); // cache key -> item requested by this call
+  const tm = await tmLookupFor(config, sourceLang, targetLang);
 
   for (let i = 0; i < texts.length; i++) {
     const raw = texts[i];
@@ -496,346 +628,685 @@ async function translateTextsV2(texts, config, params = {}, jobId) {
     if ((config?.workflow?.skipIfSourceEqualsTarget && sourceLang !== 'auto' && langEquals(sourceLang, targetLang)) ||
         isSkippableSegment(t, minLen)) {
       outs[i] = t;
+      servedBy[i] = 'skip';
       continue;
     }
-    // cache
-    const key = makeCacheKey({
-      provider: providerType,
-      model: String(config?.provider?.model || ''),
-      sourceLang, targetLang, text: t
-    });
-    const cached = cacheInstance?.get(key);
-    if (cached !== undefined) {
-      outs[i] = cached;
-    } else {
-      pending.push({ idx: i, text: t, key });
+    // approved translations win over the cache
+    const approved = tm?.exact(t);
+    if (approved) {
+      outs[i] = approved.tgt;
+      servedBy[i] = 'tm';
+      continue;
     }
+    // cache (keyed by the provider the segment is routed to first and its output-affecting settings)
+    const chain = resolveRoute(config, profiles, t, routeParams);
+    const key = segmentCacheKey(chain[0].config, sourceLang, targetLang, t);
+    pending.push({ idx: i, text: t, key, chain });
   }
 
-  if (pending.length === 0) return outs;
-
-  const retryOpts = getRetryOpts(config);
-
-  if (providerType === 'openai-compatible') {
-    const batching = config?.provider?.batching || {};
-    if (batching.enabled !== false) {
-      // Batch by budget
-      const seq = pending.map(p => p.text);
-      const chunks = splitInputsByBudget(seq, {
-        maxItems: batching.maxItems ?? 20,
-        maxChars: batching.maxChars ?? 8000,
-        tokenBudget: batching.tokenBudget ?? 2000
-      });
-      const flatResults = [];
-      for (const chunk of chunks) {
-        const part = await openaiBatchTranslateArray(chunk, config, sourceLang, targetLang, jobId, retryOpts);
-        flatResults.push(...part);
-      }
-      // Map back
-      for (let k = 0; k < pending.length; k++) {
-        const v = flatResults[k] ?? '';
-        outs[pending[k].idx] = v;
-        try { cacheInstance?.set(pending[k].key, v); } catch {}
-      }
-      return outs;
+  // one batched lookup: memory tier, then a bounded IndexedDB read
+  let cached = new Map();
+  try { if (cacheInstance && pending.length) cached = await cacheInstance.getMany(pending.map(p => p.key)); } catch {}
+  for (const p of pending) {
+    // entries are { s: source, v: translation }; a different source means a key collision -> miss
+    const hit = cached.get(p.key);
+    if (hit && hit.s === p.text && typeof hit.v === 'string') {
+      outs[p.idx] = hit.v;
+      servedBy[p.idx] = 'cache';
+      continue;
     }
-    // Fallback per-item
-    for (const p of pending) {
-      const v = await openaiSingle(p.text, config, sourceLang, targetLang, jobId, retryOpts);
-      outs[p.idx] = v;
-      try { cacheInstance?.set(p.key, v); } catch {}
+    const fuzzy = tm ? tm.fuzzy(p.text) : [];
+    if (fuzzy.length && tm.action === 'use') {
+      outs[p.idx] = fuzzy[0].tgt;
+      servedBy[p.idx] = 'tm-fuzzy';
+      continue;
     }
-    return outs;
+    // same key already requested by another tab / frame / job (or earlier in this call): wait for that
+    const shared = inflight.get(p.key);
+    if (shared) {
+      joinBatch(job, shared.batch);
+      waits.push({ idx: p.idx, entry: shared });
+      continue;
+    }
+    if (owned.has(p.key)) {
+      waits.push({ idx: p.idx, entry: null, item: owned.get(p.key) });
+      continue;
+    }
+    const rk = routeKey(p.chain);
+    if (!groups.has(rk)) groups.set(rk, { chain: p.chain, items: [] });
+    const item = { idx: p.idx, text: p.text, key: p.key, references: fuzzy };
+    groups.get(rk).items.push(item);
+    owned.set(p.key, item);
+    waits.push({ idx: p.idx, entry: null, item });
   }
+  if (job.cancel.signal.aborted) throw new SchedulerAbortError();
+
+  // groups run one after another in the background; every segment of this job waits on its entry
+  const batches = [];
+  const ownEntries = new Map(); // item -> its entry in the batch opened for it
+  for (const { chain, items } of groups.values()) {
+    const batch = openBatch(items);
+    joinBatch(job, batch);
+    batches.push({ batch, chain, items });
+    items.forEach((item, k) => ownEntries.set(item, batch.entries[k]));
+  }
+  for (const w of waits) if (!w.entry) w.entry = ownEntries.get(w.item);
+  runBatches(batches, { sourceLang, targetLang, priority, trigger: routeParams.trigger, origin: params?.origin || '' });
+
+  await Promise.all(waits.map(async ({ idx, entry }) => {
+    const { v, profile } = await untilAborted(entry.promise, job.cancel.signal);
+    outs[idx] = v;
+    servedBy[idx] = profile;
+  }));
+  return { outputs: outs, servedBy };
+}
 
-  // Default: custom provider supports array inputs
-  {
-    const seq = pending.map(p => p.text);
-    const arr = await customTranslateBatch(seq, config, sourceLang, targetLang, jobId, retryOpts);
-    for (let k = 0; k < pending.length; k++) {
-      const v = arr[k] ?? '';
-      outs[pending[k].idx] = v;
-      try { cacheInstance?.set(pending[k].key, v); } catch {}
-    }
-    return outs;
+// ---------- In-flight coalescing ----------
+//
+// Segments that miss the cache are registered under their cache key while a provider request for them
+// runs, so identical strings requested concurrently by other frames / tabs / jobs share that request.
+// A batch (one route group of one job) is kept alive while any job still waits for one of its segments:
+// cancelling a job only detaches it, and the provider calls are aborted once the last waiter has left.
+
+// cache key -> { key, promise, resolve, reject, batch }
+const inflight = new Map();
+
+// batch.entries[k] belongs to items[k]; a batch only ever settles or unregisters its own entries
+// (after it closes, the same key may already be registered again by another batch)
+function openBatch(items) {
+  const batch = { controller: new AbortController(), waiters: new Set(), entries: [], done: false };
+  for (const item of items) {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    promise.catch(() => {}); // failures surface through the waiters
+    const entry = { key: item.key, promise, resolve, reject, batch };
+    inflight.set(item.key, entry);
+    batch.entries.push(entry);
   }
+  return batch;
 }
 
-async function customTranslateBatch(texts, config, sourceLang, targetLang, jobId, retryOpts) {
-  const endpoint = (config?.provider?.endpoint || '').trim();
-  const model = (config?.provider?.model || '').trim();
+function joinBatch(job, batch) {
+  batch.waiters.add(job.token);
+  job.batches.add(batch);
+}
 
-  if (!endpoint) {
-    return texts.map((t) => `[demo] ${t}`);
+function leaveBatches(job) {
+  for (const batch of job.batches) {
+    batch.waiters.delete(job.token);
+    if (batch.waiters.size || batch.done) continue;
+    // nobody waits any more: new requests must not join, running provider calls are aborted
+    closeBatch(batch);
+    batch.controller.abort();
   }
+  job.batches.clear();
+}
 
-  const baseHeaders = { 'content-type': 'application/json' };
-  const extraHeaders = (config?.provider?.headers && typeof config.provider.headers === 'object') ? config.provider.headers : {};
-  const apiKey = (config?.provider?.apiKey || '').trim();
-  const authHeader = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
-  const headers = { ...baseHeaders, ...extraHeaders, ...authHeader };
-
-  const body = {
-    inputs: texts,
-    sourceLang,
-    targetLang,
-    model: model || undefined,
-    workflow: Array.isArray(config?.workflow?.steps) ? config.workflow.steps : ['translate']
-  };
+function closeBatch(batch) {
+  batch.done = true;
+  for (const entry of batch.entries) {
+    if (inflight.get(entry.key) === entry) inflight.delete(entry.key);
+  }
+}
 
-  return scheduledFetch(schedulerInstance, async () => {
-    const controller = new AbortController();
-    registerController(jobId, controller);
+async function runBatches(batches, { sourceLang, targetLang, priority, trigger, origin }) {
+  for (const { batch, chain, items } of batches) {
+    const { entries } = batch;
     try {
-      const res = await fetch(endpoint, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(body),
-        signal: controller.signal
-      });
-      if (!res.ok) {
-        const text = await safeReadText(res);
-        const err = new Error(`Provider HTTP ${res.status}: ${text.slice(0, 200)}`);
-        err.status = res.status;
-        throw err;
+      if (batch.controller.signal.aborted) throw new SchedulerAbortError();
+      const references = new Map(items.filter(p => p.references.length).map(p => [p.text, p.references]));
+      const { outputs, profile, referenced } = await translateWithFailover(chain, items.map(p => p.text),
+        { sourceLang, targetLang, signal: batch.controller.signal, priority, trigger, references });
+      // after failover the output belongs to the fallback profile: cache it under that profile's key
+      const served = profile === chain[0].id ? null : chain.find((c) => c.id === profile);
+      for (let k = 0; k < items.length; k++) {
+        const v = outputs[k] ?? '';
+        const key = served ? segmentCacheKey(served.config, sourceLang, targetLang, items[k].text) : items[k].key;
+        // outputs shaped by references depend on the translation memory, which the key does not cover
+        if (!referenced) try { cacheInstance?.set(key, { s: items[k].text, v, o: origin }); } catch {}
+        entries[k].resolve({ v, profile });
       }
-      const data = await safeReadJson(res);
-      const raw = Array.isArray(data?.outputs)
-        ? data.outputs
-        : Array.isArray(data?.data)
-          ? data.data
-          : null;
-      if (!raw) throw new Error('Invalid provider response format; expected outputs[] or data[]');
-      return raw.map((o, i) => {
-        if (typeof o === 'string') return o;
-        if (o && typeof o === 'object' && typeof o.text === 'string') return o.text;
-        return String(o ?? texts[i] ?? '');
-      });
+    } catch (e) {
+      for (const entry of entries) entry.reject(e);
     } finally {
-      unregisterController(jobId, controller);
+      closeBatch(batch);
     }
-  }, retryOpts);
+  }
+}
+
+// Settles like promise, or rejects with AbortError once signal aborts
+function untilAborted(promise, signal) {
+  if (signal.aborted) return Promise.reject(new SchedulerAbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new SchedulerAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// ---------- Translation memory ----------
+
+const TM_FUZZY_ACTIONS = ['reference', 'use', 'off'];
+// Reference pairs sent with one request (batches collect them from all their segments)
+const TM_MAX_REFERENCES_PER_REQUEST = 10;
+
+/**
+ * Translation memory lookups for one request's language pair; null when disabled or empty.
+ * @returns {Promise<{action:string, exact:(text:string)=>({src,tgt}|null), fuzzy:(text:string)=>{src,tgt,score}[]}|null>}
+ */
+async function tmLookupFor(config, sourceLang, targetLang) {
+  const tmCfg = config?.tm || {};
+  if (tmCfg.enabled === false || !tmInstance) return null;
+  try { await tmInstance.load(); } catch { return null; }
+  if (!tmInstance.count) return null;
+  const action = TM_FUZZY_ACTIONS.includes(tmCfg.fuzzyAction) ? tmCfg.fuzzyAction : 'reference';
+  const threshold = Math.min(1, Math.max(0.5, Number(tmCfg.fuzzyThreshold) || 0.8));
+  const limit = action === 'off' ? 0 : action === 'use' ? 1 : Math.min(10, Math.max(1, Number(tmCfg.maxReferences) || 3));
+  const opts = { sourceLang, targetLang, threshold };
+  return {
+    action,
+    exact: (text) => tmInstance.lookup(text, { ...opts, limit: 0 }).exact,
+    fuzzy: (text) => (limit ? tmInstance.lookup(text, { ...opts, limit }).fuzzy : [])
+  };
+}
+
+// References for the segments of one request: best scores first, one per source sentence
+function requestReferences(references, texts) {
+  if (!references?.size) return [];
+  const seen = new Set();
+  const out = [];
+  for (const t of texts) for (const r of references.get(t) || []) {
+    if (seen.has(r.src)) continue;
+    seen.add(r.src);
+    out.push(r);
+  }
+  return out.sort((a, b) => b.score - a.score).slice(0, TM_MAX_REFERENCES_PER_REQUEST);
+}
+
+async function tmStats() {
+  return tmInstance ? tmInstance.stats() : { total: 0, pairs: [] };
 }
 
-async function openaiBatchTranslateArray(texts, config, sourceLang, targetLang, jobId, retryOpts) {
-  const endpoint = (config?.provider?.endpoint || 'https://api.openai.com/v1/chat/completions').trim();
-  const model = (config?.provider?.model || 'gpt-3.5-turbo').trim();
+// ---------- Cache management (options page) ----------
 
-  const baseHeaders = { 'content-type': 'application/json' };
-  const extraHeaders = (config?.provider?.headers && typeof config.provider.headers === 'object') ? config.provider.headers : {};
-  const apiKey = (config?.provider?.apiKey || '').trim();
-  const authHeader = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
-  const headers = { ...baseHeaders, ...extraHeaders, ...authHeader };
+const CACHE_EXPORT_FORMAT = 'edge-ai-translator-cache';
+const CACHE_EXPORT_VERSION = 1;
+const CACHE_SEARCH_LIMIT = 100;
 
-  if (!apiKey) {
-    throw new Error('openai-compatible provider requires apiKey');
+// http(s) origin of the frame that sent a message; '' for extension pages
+function senderOrigin(sender) {
+  try {
+    const origin = sender?.origin || new URL(sender?.url || sender?.tab?.url || '').origin;
+    return /^https?:\/\//.test(origin) ? origin : '';
+  } catch {
+    return '';
   }
+}
 
-  // Compose system prompt, then conditionally inject randomized noise (anti-pattern detection)
-  const noiseCfgRaw = (config?.workflow?.noise) || {};
-  const noise = (() => {
-    const enabled = !!noiseCfgRaw.enabled;
-    const position = String(noiseCfgRaw.position || 'system');
-    let probability = Number(noiseCfgRaw.probability);
-    if (!Number.isFinite(probability)) probability = 0.6;
-    probability = Math.min(Math.max(probability, 0), 1);
-    let minWords = Math.max(0, Math.round(Number(noiseCfgRaw.minWords ?? 3)));
-    let maxWords = Math.max(minWords, Math.round(Number(noiseCfgRaw.maxWords ?? 8)));
-    if (maxWords > 100) maxWords = 100;
-    const template = String(noiseCfgRaw.template || '--- NOISE --- {{noise}}');
-    const dict = Array.isArray(noiseCfgRaw.dictionary) ? noiseCfgRaw.dictionary.filter(x => typeof x === 'string' && x.trim()).map(x => x.trim()) : [];
-    return { enabled, position, probability, minWords, maxWords, template, dict };
-  })();
+// Entries written by translateTextsV2: current key format and { s, v } value
+function isTranslationEntry(k, v) {
+  return !!parseCacheKey(k) && !!v && typeof v === 'object' && typeof v.s === 'string' && typeof v.v === 'string';
+}
+
+function describeCacheEntry(e) {
+  const meta = parseCacheKey(e.k) || {};
+  return {
+    key: e.k,
+    provider: meta.provider || '',
+    model: meta.model || '',
+    sourceLang: meta.sourceLang || '',
+    targetLang: meta.targetLang || '',
+    source: e.v?.s ?? '',
+    target: e.v?.v ?? '',
+    origin: e.v?.o || '',
+    at: e.at || 0,
+    exp: e.exp || 0
+  };
+}
+
+/**
+ * Predicate for search / purge filters: sourceLang / targetLang (exact, case-insensitive),
+ * origin (substring of the recorded origin), query (substring of source or translation).
+ */
+function cacheFilter(f = {}) {
+  const norm = (x) => String(x ?? '').trim().toLowerCase();
+  const src = norm(f.sourceLang);
+  const dst = norm(f.targetLang);
+  const origin = norm(f.origin);
+  const query = norm(f.query);
+  return (k, v) => {
+    if (!isTranslationEntry(k, v)) return false;
+    const meta = parseCacheKey(k);
+    if (src && norm(meta.sourceLang) !== src) return false;
+    if (dst && norm(meta.targetLang) !== dst) return false;
+    if (origin && !norm(v.o).includes(origin)) return false;
+    if (query && !norm(v.s).includes(query) && !norm(v.v).includes(query)) return false;
+    return true;
+  };
+}
+
+async function cacheStats() {
+  if (!cacheInstance) return null;
+  return cacheInstance.stats();
+}
+
+// Newest first; at most `limit` results plus the total match count
+async function searchCache(f = {}) {
+  if (!cacheInstance) return { total: 0, entries: [] };
+  const match = cacheFilter(f);
+  const limit = Math.min(500, Math.max(1, Number(f.limit) || CACHE_SEARCH_LIMIT));
+  const found = (await cacheInstance.entries()).filter((e) => match(e.k, e.v)).sort((a, b) => b.at - a.at);
+  return { total: found.length, entries: found.slice(0, limit).map(describeCacheEntry) };
+}
+
+async function deleteCacheEntries(keys) {
+  if (!cacheInstance || !Array.isArray(keys)) return 0;
+  let n = 0;
+  for (const k of keys) {
+    if (typeof k !== 'string') continue;
+    cacheInstance.delete(k);
+    n++;
+  }
+  await cacheInstance.flush();
+  return n;
+}
+
+/**
+ * Delete by language pair and/or origin; { all: true } clears both tiers. An empty filter deletes nothing.
+ */
+async function purgeCache(f = {}) {
+  if (!cacheInstance) return { memory: 0, persistent: 0 };
+  if (f.all === true) {
+    const st = await cacheInstance.stats();
+    await cacheInstance.clear();
+    return { memory: st.memory.count, persistent: st.persistent ? st.count : 0, all: true };
+  }
+  const filter = { sourceLang: f.sourceLang, targetLang: f.targetLang, origin: f.origin };
+  if (!Object.values(filter).some((x) => String(x ?? '').trim())) throw new Error('请指定语言对或站点');
+  return cacheInstance.purge(cacheFilter(filter));
+}
+
+/**
+ * Drop cache entries written under settings that no current provider profile uses any more
+ * (older key formats included). Entries of other languages / models are kept.
+ */
+async function purgeStaleCache(cfg) {
+  if (!cacheInstance) return { memory: 0, persistent: 0 };
+  const live = new Set(listProfiles(cfg, DEFAULT_CONFIG.provider).map((p) => settingsFingerprint(p.config)));
+  return cacheInstance.purge((key) => !live.has(cacheKeyFingerprint(key)));
+}
+
+async function exportCache() {
+  const entries = cacheInstance ? await cacheInstance.entries() : [];
+  return {
+    format: CACHE_EXPORT_FORMAT,
+    version: CACHE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries.filter((e) => isTranslationEntry(e.k, e.v)).map((e) => ({ k: e.k, v: e.v, exp: e.exp || 0 }))
+  };
+}
 
-  let system = composePrompt({ sourceLang, targetLang, workflow: config?.workflow || {}, batch: true });
-
-  if (noise.enabled) {
-    const guide = "注意：以下以 '--- NOISE ---' 开头的行是随机噪声，请忽略。";
-    function rnd() { try { const u = new Uint32Array(1); crypto.getRandomValues(u); return u[0] / 0xFFFFFFFF; } catch { return Math.random(); } }
-    function randi(a, b) { const lo = Math.ceil(a), hi = Math.floor(b); return Math.floor(rnd() * (hi - lo + 1)) + lo; }
-    function randomToken() { try { const u = new Uint8Array(6); crypto.getRandomValues(u); return Array.from(u).map(v => (v & 0x0f).toString(16)).join(''); } catch { return Math.random().toString(36).slice(2, 8); } }
-    function buildNoiseText() {
-      const cnt = randi(noise.minWords, noise.maxWords);
-      if (noise.dict.length) {
-        const arr = [];
-        for (let i = 0; i < cnt; i++) arr.push(noise.dict[randi(0, noise.dict.length - 1)]);
-        return arr.join(' ');
+// Keys carry the settings fingerprint: imported entries only hit with the same provider / model / settings
+async function importCache(data) {
+  if (!cacheInstance) throw new Error('缓存未初始化');
+  if (data?.format !== CACHE_EXPORT_FORMAT || !Array.isArray(data.entries)) throw new Error('不是有效的缓存导出文件');
+  if (Number(data.version) > CACHE_EXPORT_VERSION) throw new Error(`不支持的导出版本：${data.version}`);
+  if (!cacheInstance.enabled) throw new Error('缓存已禁用，无法导入');
+  const valid = data.entries.filter((e) => isTranslationEntry(e?.k, e?.v))
+    .map((e) => ({ k: e.k, v: { s: e.v.s, v: e.v.v, o: typeof e.v.o === 'string' ? e.v.o : '' }, exp: e.exp }));
+  const imported = cacheInstance.importEntries(valid);
+  await cacheInstance.flush();
+  return { imported, skipped: data.entries.length - imported };
+}
+
+// ---------- Failover ----------
+
+// Recent routing decisions, newest last (options page: GET_ROUTE_LOG)
+const ROUTE_LOG_SIZE = 100;
+const routeLog = [];
+
+function logRoute(entry) {
+  routeLog.push({ at: new Date().toISOString(), ...entry });
+  if (routeLog.length > ROUTE_LOG_SIZE) routeLog.splice(0, routeLog.length - ROUTE_LOG_SIZE);
+}
+
+// Try each profile in order; an error here already means non-retriable or retries exhausted.
+async function translateWithFailover(chain, texts, { sourceLang, targetLang, jobId, signal, priority, trigger, references }) {
+  const failures = [];
+  let lastError = null;
+  for (const profile of chain) {
+    const cfg = profile.config;
+    const adapter = getProvider(cfg?.provider?.type);
+    const ctx = { config: cfg, sourceLang, targetLang, jobId, signal, priority, references, retryOpts: getRetryOpts(cfg, adapter) };
+    try {
+      const outputs = await translateWithProvider(adapter, texts, ctx);
+      // whether translation memory references could have shaped the outputs
+      const referenced = !!references?.size && !!providerCapabilities(adapter, cfg).references;
+      logRoute({ trigger, profile: profile.id, provider: adapter.id, count: texts.length, failures });
+      if (failures.length) {
+        console.warn(`[Edge AI Translator] served by "${profile.id}" after failover:`, failures.map(f => `${f.profile}: ${f.error}`).join('; '));
       }
-      const arr = [];
-      for (let i = 0; i < cnt; i++) arr.push(randomToken());
-      return arr.join(' ');
-    }
-    function buildNoiseBlock() {
-      const t = buildNoiseText();
-      return (noise.template || '--- NOISE --- {{noise}}').replace(/\{\{\s*noise\s*\}\}/g, t);
-    }
-    // Batch mode: keep user JSON intact; always inject into system if we decide to inject
-    if (rnd() <= noise.probability) {
-      system += '\n\n' + guide + '\n' + buildNoiseBlock();
+      return { outputs, profile: profile.id, referenced };
+    } catch (e) {
+      if (adapter.classifyError(e) === 'abort') throw e;
+      failures.push({ profile: profile.id, error: eToString(e) });
+      lastError = e;
     }
   }
+  logRoute({ trigger, profile: null, count: texts.length, failures });
+  if (failures.length === 1) throw lastError;
+  throw new Error(`All providers failed: ${failures.map(f => `${f.profile}: ${f.error}`).join('; ')}`);
+}
 
-  const userPayload = { inputs: texts, meta: { sourceLang, targetLang } };
+function providerCapabilities(adapter, config) {
+  return (adapter.capabilitiesFor ? adapter.capabilitiesFor(config) : adapter.capabilities) || {};
+}
 
-  try {
-    const arr = await scheduledFetch(schedulerInstance, async () => {
-      const controller = new AbortController();
-      registerController(jobId, controller);
+// Run texts through a provider adapter according to its batching capability.
+async function translateWithProvider(adapter, texts, ctx) {
+  const offline = adapter.offline ? adapter.offline(texts, ctx.config) : null;
+  if (offline) return offline;
+  if (adapter.validate) adapter.validate(ctx.config);
+
+  const glossaryId = await resolveGlossary(adapter, ctx);
+  const caps = providerCapabilities(adapter, ctx.config);
+  // MT engines bill by characters; only prompt-style requests are charged to the TPM bucket
+  const metered = caps.batch !== 'native';
+  const send = (items, batch) => {
+    // built per attempt: with several API keys each attempt may use a different one
+    let request = null;
+    const references = caps.references ? requestReferences(ctx.references, items) : [];
+    const build = (config) => (request = adapter.buildRequest({ texts: items, batch, config, sourceLang: ctx.sourceLang, targetLang: ctx.targetLang, glossaryId, references }));
+    const cost = metered ? estimateRequestTokens(items, references) : 0;
+    return sendProviderRequest(adapter, build, (data) => adapter.parseResponse(data, { texts: items, batch, request, config: ctx.config }), { ...ctx, texts: items, cost });
+  };
+  const single = async (t) => (await send([t], false))[0];
+
+  const mode = caps.batch || 'none';
+  const batching = ctx.config?.provider?.batching || {};
+  const out = [];
+  if (mode === 'native') {
+    // Engine-side limits per request (e.g. DeepL 50 texts); no token budget for MT engines
+    if (!caps.maxItems && !caps.maxChars) return send(texts, true);
+    const chunks = splitInputsByBudget(texts, { maxItems: caps.maxItems || Infinity, maxChars: caps.maxChars || Infinity, tokenBudget: Infinity });
+    for (const chunk of chunks) out.push(...await send(chunk, true));
+    return out;
+  }
+  if (mode === 'prompt' && batching.enabled !== false) {
+    // Batch by budget
+    const chunks = splitInputsByBudget(texts, await batchLimitsFor(adapter, ctx, batching));
+    for (const chunk of chunks) {
       try {
-        const res = await fetch(endpoint, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            model,
-            temperature: 0,
-            messages: [
-              { role: 'system', content: system },
-              { role: 'user', content: JSON.stringify(userPayload) }
-            ]
-          }),
-          signal: controller.signal
-        });
-        if (!res.ok) {
-          const text = await safeReadText(res);
-          const err = new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
-          err.status = res.status;
-          throw err;
-        }
-        const data = await safeReadJson(res);
-        const content = data?.choices?.[0]?.message?.content ?? '';
-        const parsed = parseJsonArrayLike(String(content || ''), texts.length);
-        if (!parsed) throw new Error('Invalid JSON array from provider');
-        return parsed.map((x, i) => (typeof x === 'string' ? x : String(x ?? texts[i] ?? '')));
-      } finally {
-        unregisterController(jobId, controller);
+        out.push(...await send(chunk, true));
+      } catch (e) {
+        // If aborted, bubble up; otherwise fall back to per-item
+        if (adapter.classifyError(e) === 'abort') throw e;
+        for (const t of chunk) out.push(await single(t));
       }
-    }, retryOpts);
-    return arr;
-  } catch (e) {
-    // If aborted, bubble up
-    if (e?.name === 'AbortError' || e?.name === 'SchedulerAbortError') throw e;
-    // Fallback to per-item
-    const out = [];
-    for (const t of texts) {
-      const v = await openaiSingle(t, config, sourceLang, targetLang, jobId, retryOpts);
-      out.push(v);
     }
     return out;
   }
+  for (const t of texts) out.push(await single(t));
+  return out;
 }
 
-async function openaiSingle(text, config, sourceLang, targetLang, jobId, retryOpts) {
-  const endpoint = (config?.provider?.endpoint || 'https://api.openai.com/v1/chat/completions').trim();
-  const model = (config?.provider?.model || 'gpt-3.5-turbo').trim();
-
-  const baseHeaders = { 'content-type': 'application/json' };
-  const extraHeaders = (config?.provider?.headers && typeof config.provider.headers === 'object') ? config.provider.headers : {};
-  const apiKey = (config?.provider?.apiKey || '').trim();
-  const authHeader = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
-  const headers = { ...baseHeaders, ...extraHeaders, ...authHeader };
+// Token cost for the TPM limit: the prompt estimate plus an output of about the same size
+// (reference translations only add to the prompt)
+function estimateRequestTokens(texts, references = []) {
+  return estimateBatchTokens(texts) + texts.reduce((sum, t) => sum + estimateTokens(t), 0) +
+    references.reduce((sum, r) => sum + estimateTokens(r.src) + estimateTokens(r.tgt), 0);
+}
 
-  if (!apiKey) {
-    throw new Error('openai-compatible provider requires apiKey');
+// ---------- Context-aware batch limits ----------
+
+// Context windows reported by servers, keyed by provider|endpoint|model
+const modelContextCache = new Map();
+const CONTEXT_TTL_MS = 10 * 60 * 1000;
+const CONTEXT_FAIL_TTL_MS = 60 * 1000;
+// Tokens kept for the system prompt; the rest is split between input and (similar-sized) output
+const PROMPT_RESERVE_TOKENS = 512;
+
+async function getModelContextLength(adapter, ctx) {
+  if (!adapter.buildContextRequest || !adapter.parseContextLength) return 0;
+  const req = adapter.buildContextRequest(ctx.config);
+  const key = `${adapter.id}|${req.url}|${JSON.stringify(req.body ?? '')}|${ctx.config?.provider?.local?.numCtx ?? ''}`;
+  const hit = modelContextCache.get(key);
+  if (hit && Date.now() - hit.at < (hit.value ? CONTEXT_TTL_MS : CONTEXT_FAIL_TTL_MS)) return hit.value;
+  let value = 0;
+  try {
+    value = await sendProviderRequest(adapter, req, (data) => adapter.parseContextLength(data, ctx.config),
+      { ...ctx, retryOpts: { ...ctx.retryOpts, maxRetries: 0 } });
+  } catch (e) {
+    if (adapter.classifyError(e) === 'abort') throw e;
   }
+  value = Number(value) > 0 ? Number(value) : 0;
+  modelContextCache.set(key, { value, at: Date.now() });
+  return value;
+}
 
-  let system = composePrompt({ sourceLang, targetLang, workflow: config?.workflow || {}, batch: false });
-
-  // Noise injection (configurable). For 'user_suffix', we append to user text; otherwise inject into system.
-  const noiseCfgRaw = (config?.workflow?.noise) || {};
-  const noise = (() => {
-    const enabled = !!noiseCfgRaw.enabled;
-    const position = String(noiseCfgRaw.position || 'system');
-    let probability = Number(noiseCfgRaw.probability);
-    if (!Number.isFinite(probability)) probability = 0.6;
-    probability = Math.min(Math.max(probability, 0), 1);
-    let minWords = Math.max(0, Math.round(Number(noiseCfgRaw.minWords ?? 3)));
-    let maxWords = Math.max(minWords, Math.round(Number(noiseCfgRaw.maxWords ?? 8)));
-    if (maxWords > 100) maxWords = 100;
-    const template = String(noiseCfgRaw.template || '--- NOISE --- {{noise}}');
-    const dict = Array.isArray(noiseCfgRaw.dictionary) ? noiseCfgRaw.dictionary.filter(x => typeof x === 'string' && x.trim()).map(x => x.trim()) : [];
-    return { enabled, position, probability, minWords, maxWords, template, dict };
-  })();
+// Configured limits, tightened to what fits in the model context (never loosened)
+async function batchLimitsFor(adapter, ctx, batching) {
+  const limits = {
+    maxItems: batching.maxItems ?? 20,
+    maxChars: batching.maxChars ?? 8000,
+    tokenBudget: batching.tokenBudget ?? 2000
+  };
+  const contextLength = await getModelContextLength(adapter, ctx);
+  if (!contextLength) return limits;
+  const fit = Math.max(64, Math.floor((contextLength - PROMPT_RESERVE_TOKENS) / 2.5));
+  limits.tokenBudget = Math.min(limits.tokenBudget, fit);
+  limits.maxChars = Math.min(limits.maxChars, fit * 4);
+  return limits;
+}
 
-  let userText = String(text ?? '');
-
-  if (noise.enabled) {
-    const guide = "注意：以下以 '--- NOISE ---' 开头的行是随机噪声，请忽略。";
-    function rnd() { try { const u = new Uint32Array(1); crypto.getRandomValues(u); return u[0] / 0xFFFFFFFF; } catch { return Math.random(); } }
-    function randi(a, b) { const lo = Math.ceil(a), hi = Math.floor(b); return Math.floor(rnd() * (hi - lo + 1)) + lo; }
-    function randomToken() { try { const u = new Uint8Array(6); crypto.getRandomValues(u); return Array.from(u).map(v => (v & 0x0f).toString(16)).join(''); } catch { return Math.random().toString(36).slice(2, 8); } }
-    function buildNoiseText() {
-      const cnt = randi(noise.minWords, noise.maxWords);
-      if (noise.dict.length) {
-        const arr = [];
-        for (let i = 0; i < cnt; i++) arr.push(noise.dict[randi(0, noise.dict.length - 1)]);
-        return arr.join(' ');
-      }
-      const arr = [];
-      for (let i = 0; i < cnt; i++) arr.push(randomToken());
-      return arr.join(' ');
-    }
-    function buildNoiseBlock() {
-      const t = buildNoiseText();
-      return (noise.template || '--- NOISE --- {{noise}}').replace(/\{\{\s*noise\s*\}\}/g, t);
-    }
-    if (noise.position === 'user_suffix') {
-      if (rnd() <= noise.probability) {
-        system += '\n\n' + guide;
-        userText = userText + '\n\n' + buildNoiseBlock();
-      }
-    } else {
-      if (rnd() <= noise.probability) {
-        system += '\n\n' + guide + '\n' + buildNoiseBlock();
-      }
+// ---------- Provider-side glossaries ----------
+
+// Glossaries created on the provider (DeepL), keyed by endpoint + key + contents; persisted so
+// service worker restarts do not upload the same glossary again.
+const GLOSSARY_STORE_KEY = 'providerGlossaries';
+const glossaryIds = new Map();
+
+async function resolveGlossary(adapter, ctx) {
+  if (!adapter.buildGlossaryRequest) return '';
+  const entries = Array.isArray(ctx.config?.workflow?.glossary) ? ctx.config.workflow.glossary : [];
+  const req = entries.length
+    ? adapter.buildGlossaryRequest({ config: ctx.config, sourceLang: ctx.sourceLang, targetLang: ctx.targetLang, entries })
+    : null;
+  if (!req) return '';
+  // uploaded with the first key; rotation keys are expected to belong to the same account
+  const key = `${adapter.id}|${req.url}|${fnv1a32(getApiKey(ctx.config))}|${fnv1a32(JSON.stringify(req.body))}`;
+  if (glossaryIds.has(key)) return glossaryIds.get(key);
+  try {
+    const stored = (await chrome.storage.local.get([GLOSSARY_STORE_KEY]))?.[GLOSSARY_STORE_KEY] || {};
+    if (stored[key]) {
+      glossaryIds.set(key, stored[key]);
+      return stored[key];
     }
+  } catch {}
+  let id = '';
+  try {
+    id = await sendProviderRequest(adapter, req, (data) => adapter.parseGlossary(data), ctx);
+  } catch (e) {
+    if (adapter.classifyError(e) === 'abort') throw e;
+    console.warn('[Edge AI Translator] glossary upload failed, translating without it:', eToString(e));
   }
-
-  return scheduledFetch(schedulerInstance, async () => {
-    const controller = new AbortController();
-    registerController(jobId, controller);
+  // failures are remembered for this worker lifetime only
+  glossaryIds.set(key, id || '');
+  if (id) {
     try {
-      const res = await fetch(endpoint, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          model,
-          temperature: 0,
-          messages: [
-            { role: 'system', content: system },
-            { role: 'user', content: userText }
-          ]
-        }),
+      const stored = (await chrome.storage.local.get([GLOSSARY_STORE_KEY]))?.[GLOSSARY_STORE_KEY] || {};
+      stored[key] = id;
+      await chrome.storage.local.set({ [GLOSSARY_STORE_KEY]: stored });
+    } catch {}
+  }
+  return id || '';
+}
+
+// One HTTP round trip through the scheduler (rate limit + retry, queued at ctx.priority); aborted with the job:
+// the job's controller also drops attempts that are still queued.
+// parse runs inside the retry loop, so malformed responses are retried like transient errors.
+// Auth is applied per attempt so signed requests get a fresh timestamp/nonce on every retry.
+// req may be a function (config) => request: with several API keys the scheduler picks one per attempt
+// and the request is rebuilt for it; plain request objects always use the first key.
+async function sendProviderRequest(adapter, req, parse, ctx) {
+  const keys = typeof req === 'function' ? await rotationKeys(ctx.config) : [];
+  const serialize = (r) => (r.body === undefined ? undefined : (typeof r.body === 'string' ? r.body : JSON.stringify(r.body)));
+  const fixed = typeof req === 'function' && keys.length ? null : (typeof req === 'function' ? req(ctx.config) : req);
+  const fixedBody = fixed ? serialize(fixed) : undefined;
+  const rotation = ctx.config?.provider?.keyRotation === 'least-loaded' ? 'least-loaded' : 'round-robin';
+  const controller = new AbortController();
+  registerController(ctx.jobId, controller);
+  // ctx.signal: shared batch (see In-flight coalescing); aborts together with the job's own cancellation
+  const onAbort = () => controller.abort();
+  if (ctx.signal?.aborted) controller.abort();
+  else ctx.signal?.addEventListener('abort', onAbort, { once: true });
+  const enqueueOpts = { signal: controller.signal, priority: ctx.priority, cost: ctx.cost };
+  if (keys.length) Object.assign(enqueueOpts, { keys, rotation });
+  try {
+    return await scheduledFetch(schedulerInstance, async ({ key, noteHeaders } = {}) => {
+      const config = key ? withApiKey(ctx.config, key) : ctx.config;
+      const r = fixed || req(config);
+      const signed = await signRequest({ ...r, body: fixed ? fixedBody : serialize(r) }, config, { texts: ctx.texts });
+      const res = await fetch(signed.url, {
+        method: signed.method || 'POST',
+        headers: signed.headers,
+        body: signed.body,
         signal: controller.signal
       });
-      if (!res.ok) {
-        const textm = await safeReadText(res);
-        const err = new Error(`HTTP ${res.status}: ${textm.slice(0, 200)}`);
-        err.status = res.status;
-        throw err;
+      noteHeaders?.(res.headers);
+      if (!res.ok) throw await httpError(res, adapter.errorPrefix);
+      return parse(await safeReadJson(res));
+    }, ctx.retryOpts, undefined, enqueueOpts);
+  } finally {
+    unregisterController(ctx.jobId, controller);
+    ctx.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// ---------- API key rotation ----------
+
+// Fingerprints of keys disabled after repeated 401/403, so a worker restart keeps them disabled
+const DISABLED_KEYS_STORE = 'disabledApiKeys';
+let disabledKeyPrints = null;
+
+function withApiKey(config, key) {
+  return { ...config, provider: { ...config.provider, apiKey: key, apiKeys: [key] } };
+}
+
+async function loadDisabledKeyPrints() {
+  if (!disabledKeyPrints) {
+    disabledKeyPrints = (async () => {
+      try {
+        const stored = (await chrome.storage.local.get([DISABLED_KEYS_STORE]))?.[DISABLED_KEYS_STORE];
+        return new Set(Array.isArray(stored) ? stored : []);
+      } catch {
+        return new Set();
       }
-      const data = await safeReadJson(res);
-      const content = data?.choices?.[0]?.message?.content;
-      return typeof content === 'string' ? content : String(content ?? '');
-    } finally {
-      unregisterController(jobId, controller);
-    }
-  }, retryOpts);
+    })();
+  }
+  return disabledKeyPrints;
 }
 
-function parseJsonArrayLike(s, expectedLen) {
-  try {
-    const v = JSON.parse(s);
-    if (Array.isArray(v) && (expectedLen ? v.length === expectedLen : true)) return v;
-  } catch {}
-  // Try to extract bracketed array
-  const start = s.indexOf('[');
-  const end = s.lastIndexOf(']');
-  if (start >= 0 && end > start) {
-    const cut = s.slice(start, end + 1);
-    try {
-      const v2 = JSON.parse(cut);
-      if (Array.isArray(v2) && (expectedLen ? v2.length === expectedLen : true)) return v2;
-    } catch {}
+async function saveDisabledKeyPrints(prints) {
+  try { await chrome.storage.local.set({ [DISABLED_KEYS_STORE]: Array.from(prints) }); } catch {}
+}
+
+function persistDisabledKey(key) {
+  (async () => {
+    const prints = await loadDisabledKeyPrints();
+    const fp = fnv1a32(key);
+    if (prints.has(fp)) return;
+    prints.add(fp);
+    await saveDisabledKeyPrints(prints);
+  })();
+}
+
+// Keys to rotate across (only when more than one is configured), with persisted disables applied
+async function rotationKeys(config) {
+  const keys = getApiKeys(config);
+  if (keys.length < 2 || !schedulerInstance) return [];
+  const prints = await loadDisabledKeyPrints();
+  if (prints.size) for (const k of keys) if (prints.has(fnv1a32(k))) schedulerInstance.disableKey(k);
+  return keys;
+}
+
+function maskKey(key) {
+  const k = String(key || '');
+  return k.length < 8 ? '***' : `${k.slice(0, 4)}…${k.slice(-4)}`;
+}
+
+// Per-key health for every profile that rotates keys (options page)
+async function keyHealth(config) {
+  const out = [];
+  for (const profile of listProfiles(config, DEFAULT_CONFIG.provider)) {
+    const keys = await rotationKeys(profile.config);
+    if (!keys.length) continue;
+    out.push({
+      profile: profile.id,
+      label: profile.label,
+      rotation: profile.config.provider?.keyRotation === 'least-loaded' ? 'least-loaded' : 'round-robin',
+      keys: schedulerInstance.keyStats(keys).map((st, index) => ({ ...st, index, key: maskKey(st.key) }))
+    });
+  }
+  return out;
+}
+
+// Re-enable one key (profile + index) or all keys
+async function resetKeyHealth(config, profileId, index) {
+  const prints = await loadDisabledKeyPrints();
+  let keys = null;
+  if (profileId) {
+    const profile = listProfiles(config, DEFAULT_CONFIG.provider).find((p) => p.id === profileId);
+    const all = profile ? getApiKeys(profile.config) : [];
+    keys = typeof index === 'number' ? all.slice(index, index + 1) : all;
+  }
+  schedulerInstance?.resetKeys(keys || undefined);
+  if (keys) for (const k of keys) prints.delete(fnv1a32(k));
+  else prints.clear();
+  await saveDisabledKeyPrints(prints);
+}
+
+// Render the request the provider would send for sample texts, without sending it (options page "dry run").
+async function dryRunProvider(config, texts, params = {}) {
+  const adapter = getProvider(config?.provider?.type);
+  if (adapter.validate) adapter.validate(config);
+  const caps = providerCapabilities(adapter, config);
+  const batch = caps.batch !== 'none' && texts.length > 1;
+  const items = batch ? texts : texts.slice(0, 1);
+  const req = adapter.buildRequest({
+    texts: items,
+    batch,
+    config,
+    sourceLang: params.sourceLang || config?.workflow?.sourceLang || 'auto',
+    targetLang: params.targetLang || config?.workflow?.targetLang || 'zh-CN',
+    glossaryId: ''
+  });
+  const body = req.body === undefined ? undefined : (typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+  const signed = await signRequest({ ...req, body }, config, { texts: items });
+  const shown = {
+    provider: adapter.id,
+    method: signed.method || 'POST',
+    url: signed.url,
+    headers: signed.headers || {},
+    body: typeof req.body === 'object' ? JSON.stringify(req.body, null, 2) : (body || '')
+  };
+  let masked = maskSecret(shown, config?.provider?.auth?.secret);
+  for (const k of getApiKeys(config)) masked = maskSecret(masked, k);
+  return masked;
+}
+
+function maskSecret(obj, secret) {
+  const key = String(secret || '').trim();
+  if (key.length < 4) return obj;
+  const masked = key.slice(0, 2) + '***' + key.slice(-2);
+  return JSON.parse(JSON.stringify(obj).split(key).join(masked));
+}
+
+async function listProviderModels(config) {
+  const adapter = getProvider(config?.provider?.type);
+  if (!adapter.capabilities?.listModels || !adapter.buildModelsRequest) {
+    throw new Error(`Provider ${adapter.id} does not support model listing`);
   }
-  return null;
+  const ctx = { config, jobId: null, priority: 'interactive', retryOpts: { ...getRetryOpts(config, adapter), maxRetries: 1 } };
+  return sendProviderRequest(adapter, (cfg) => adapter.buildModelsRequest(cfg), (data) => adapter.parseModels(data), ctx);
 }
\ No newline at end of file
@@ -3,12 +3,15 @@
 // Exports:
 // - LRUCache: simple Map-based LRU with TTL
 // - fnv1a32: small 32-bit hash for strings
-// - makeCacheKey: stable key builder for translation results
+// - fnv1a64: 64-bit variant (two FNV-1a lanes) for keys that must not collide in practice
+// - settingsFingerprint: digest of every setting that changes translation output
+// - makeCacheKey / parseCacheKey / cacheKeyFingerprint: stable key builder for translation results
 //
 // Notes:
 // - Memory-only cache: service worker may be suspended; this is best-effort.
 // - TTL is applied per entry; expired entries are lazily evicted on access.
 // - Size-based eviction removes the oldest (least-recently-used) entry.
+// - get() counts hits / misses for stats(); counters live as long as the instance (service worker lifetime).
 
 export class LRUCache {
   /**
@@ -22,7 +25,9 @@ export class LRUCache {
     this.size = Math.max(1, Number(size) || 500);
     this.ttlMs = Math.max(0, Number(ttlMs) || 0);
     this.enabled = !!enabled;
-    this.map = new Map(); // key -> { v:any, exp:number }
+    this.map = new Map(); // key -> { v:any, exp:number, at:number }
+    this.hits = 0;
+    this.misses = 0;
   }
 
   _now() {
@@ -60,11 +65,12 @@ export class LRUCache {
   get(key) {
     if (!this.enabled) return undefined;
     const entry = this.map.get(key);
-    if (!entry) return undefined;
-    if (this._isExpired(entry)) {
-      try { this.map.delete(key); } catch {}
+    if (!entry || this._isExpired(entry)) {
+      if (entry) { try { this.map.delete(key); } catch {} }
+      this.misses++;
       return undefined;
     }
+    this.hits++;
     this._touch(key, entry);
     return entry.v;
   }
@@ -76,7 +82,7 @@ export class LRUCache {
     if (!this.enabled) return;
     const ttl = Number(ttlMs ?? this.ttlMs) || 0;
     const exp = ttl > 0 ? (this._now() + ttl) : 0;
-    const entry = { v: value, exp };
+    const entry = { v: value, exp, at: this._now() };
     try {
       this.map.set(key, entry);
       this._touch(key, entry);
@@ -88,17 +94,62 @@ export class LRUCache {
    * Whether an item exists and is not expired.
    */
   has(key) {
-    return this.get(key) !== undefined;
+    const entry = this.map.get(key);
+    return !!entry && !this._isExpired(entry);
   }
 
   delete(key) {
     try { this.map.delete(key); } catch {}
   }
 
+  /**
+   * Remove every entry for which predicate(key, value) is true; returns the count removed.
+   */
+  purge(predicate) {
+    let n = 0;
+    try {
+      for (const [k, entry] of Array.from(this.map.entries())) {
+        if (predicate(k, entry.v)) { this.map.delete(k); n++; }
+      }
+    } catch {}
+    return n;
+  }
+
   clear() {
     try { this.map.clear(); } catch {}
   }
 
+  /**
+   * Live entries, least recently used first (does not count as access).
+   * @returns {{k:string, v:any, exp:number, at:number}[]}
+   */
+  entries() {
+    const out = [];
+    for (const [k, entry] of this.map) {
+      if (!this._isExpired(entry)) out.push({ k, v: entry.v, exp: entry.exp, at: entry.at || 0 });
+    }
+    return out;
+  }
+
+  /**
+   * Counters and occupancy: { enabled, size, count, hits, misses, oldestAt } (oldestAt = earliest write time, 0 if empty).
+   */
+  stats() {
+    let oldestAt = 0;
+    let count = 0;
+    for (const entry of this.map.values()) {
+      if (this._isExpired(entry)) continue;
+      count++;
+      if (entry.at && (!oldestAt || entry.at < oldestAt)) oldestAt = entry.at;
+    }
+    return { enabled: this.enabled, size: this.size, count, hits: this.hits, misses: this.misses, oldestAt };
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+  }
+
   /**
    * Update cache runtime options on-the-fly.
    */
@@ -125,21 +176,106 @@ export function fnv1a32(str) {
   return (h >>> 0).toString(16).padStart(8, '0');
 }
 
+/**
+ * 64-bit FNV-1a built from two independent 32-bit lanes (different offset bases).
+ * @param {string} str
+ * @returns {string} 16-hex lower-case
+ */
+export function fnv1a64(str) {
+  let a = 0x811c9dc5;
+  let b = 0xcbf29ce4;
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    a = Math.imul(a ^ c, 0x01000193) >>> 0;
+    b = Math.imul(b ^ c, 0x01000193) >>> 0;
+    b = (b ^ (a >>> 16)) >>> 0; // mix lanes so they do not collide together
+  }
+  return a.toString(16).padStart(8, '0') + b.toString(16).padStart(8, '0');
+}
+
+// JSON with sorted object keys, so equal settings always hash the same
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter((k) => v[k] !== undefined).map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+/**
+ * Fingerprint of the settings that change translation output for one provider profile config:
+ * prompt/workflow (template, style, tone, glossary, steps, mode, placeholders, response format) and the
+ * provider's endpoint, request template and fixed glossary. Provider type / model / languages are key
+ * fields of their own; noise is left out on purpose (random per request, not meant to change the result).
+ * @param {Object} config - full config (or a profile config from router.js)
+ * @returns {string} 16-hex
+ */
+export function settingsFingerprint(config = {}) {
+  const w = config?.workflow || {};
+  const p = config?.provider || {};
+  return fnv1a64(stableStringify({
+    workflow: {
+      promptTemplate: w.promptTemplate || '',
+      style: w.style || '',
+      tone: w.tone || '',
+      glossary: Array.isArray(w.glossary) ? w.glossary : [],
+      steps: Array.isArray(w.steps) ? w.steps : [],
+      mode: w.mode || '',
+      protectPlaceholders: w.protectPlaceholders !== false,
+      responseFormat: w.responseFormat || ''
+    },
+    provider: {
+      endpoint: String(p.endpoint || '').trim(),
+      template: p.type === 'templated' ? (p.template || {}) : null,
+      deeplGlossaryId: String(p.deepl?.glossaryId || '').trim()
+    }
+  }));
+}
+
+const KEY_VERSION = 'v2';
+
 /**
  * Build a stable cache key for translation results.
+ * The text digest is 64-bit plus the text length; callers should still store the source text with the value
+ * and compare it on read (see background.js) so a collision can never return another string's translation.
  * @param {Object} p
  * @param {string} p.provider
  * @param {string} p.model
  * @param {string} p.sourceLang
  * @param {string} p.targetLang
  * @param {string} p.text
+ * @param {string} [p.settings] - settingsFingerprint() of the config that produces the translation
  */
 export function makeCacheKey(p = {}) {
   const provider = String(p.provider ?? 'custom').trim().toLowerCase();
   const model = String(p.model ?? '').trim();
   const sourceLang = String(p.sourceLang ?? 'auto').trim();
   const targetLang = String(p.targetLang ?? 'zh-CN').trim();
+  const settings = String(p.settings ?? '');
   const text = String(p.text ?? '');
-  const hash = fnv1a32(text);
-  return `v1|${provider}|${model}|${sourceLang}|${targetLang}|${hash}`;
+  return `${KEY_VERSION}|${settings}|${provider}|${model}|${sourceLang}|${targetLang}|${text.length}:${fnv1a64(text)}`;
+}
+
+/**
+ * Split a key from makeCacheKey back into its fields; null for keys of an older format.
+ * The model is the only free-form field, so it is whatever lies between provider and the language pair.
+ * @returns {{settings:string, provider:string, model:string, sourceLang:string, targetLang:string}|null}
+ */
+export function parseCacheKey(key) {
+  const parts = String(key).split('|');
+  if (parts[0] !== KEY_VERSION || parts.length < 7) return null;
+  return {
+    settings: parts[1],
+    provider: parts[2],
+    model: parts.slice(3, -3).join('|'),
+    sourceLang: parts[parts.length - 3],
+    targetLang: parts[parts.length - 2]
+  };
+}
+
+/**
+ * Settings fingerprint of a key from makeCacheKey; null for keys of an older format.
+ */
+export function cacheKeyFingerprint(key) {
+  return parseCacheKey(key)?.settings ?? null;
 }
\ No newline at end of file
@@ -11,7 +11,12 @@ const MSG = {
   TRANSLATE_SELECTION: 'TRANSLATE_SELECTION',
   REQUEST_TRANSLATION: 'REQUEST_TRANSLATION',
   CANCEL_TRANSLATION: 'CANCEL_TRANSLATION',
+  TOGGLE_ORIGINAL: 'TOGGLE_ORIGINAL',
+  SET_DISPLAY_MODE: 'SET_DISPLAY_MODE',
+  TOGGLE_LIVE: 'TOGGLE_LIVE',
+  START_PICKER: 'START_PICKER',
   LOAD_CONFIG: 'LOAD_CONFIG',
+  SAVE_CONFIG: 'SAVE_CONFIG',
   PING: '__PING__'
 };
 
@@ -26,6 +31,37 @@ let pageObserver = null;
 let processedNodes = null;
 // Current page-translate job id for cancellation
 let currentJobId = null;
+// Original/translated text per node of the current page job: Map<Text, { original, translated }>
+let pageRecords = new Map();
+// Attribute records by element: Element -> Map(attrName -> record)
+let attrRecords = new WeakMap();
+// Whether the page currently shows the original text instead of translations
+let showingOriginal = false;
+// Pending auto-removal of the banner
+let bannerTimer = null;
+// Dynamic-content state of the current page job: { id, params, lazy, dynamicMaxBatch, flushWindow, pending, flushTimer }
+let pageJob = null;
+// Open shadow roots discovered while scanning (observed explicitly in live mode)
+const shadowRoots = new Set();
+// Live mode: keep translating new/changed content until turned off
+let liveMode = false;
+let liveWatching = false;
+let livePaused = false;
+let lastUrl = location.href;
+// Lazy page mode: IntersectionObserver over not-yet-translated blocks
+let lazyObserver = null;
+const lazyTargets = new Map(); // Element -> units[]
+let lazyState = null;
+let lazyBusy = false;
+// How translations are shown: 'replace' | 'bilingual-below' | 'bilingual-inline'
+const DISPLAY_MODES = ['replace', 'bilingual-below', 'bilingual-inline'];
+let displayMode = 'replace';
+// Target language of the current page job (used for bilingual elements)
+let pageTargetLang = '';
+// Bilingual mode: block element -> { nodes: Text[], el: HTMLElement|null }
+let bilingualBlocks = new Map();
+const dirtyBlocks = new Set();
+let bilingualTimer = null;
 
 // ---------- Config ----------
 async function loadConfig() {
@@ -133,8 +169,9 @@ function ensureBubble() {
       const hint = detectLangFromText(srcBox?.textContent || '') || getDefaultSourceLang();
       const target = getTargetLang();
       dstBox.innerHTML = '<span class="edge-ai-loading"></span> 翻译中…';
-      const outputs = await requestTranslation([srcBox?.textContent || ''], { sourceLang: hint, targetLang: target });
+      const { outputs, servedBy } = await requestTranslation([srcBox?.textContent || ''], { sourceLang: hint, targetLang: target, trigger: 'selection' }, undefined, 'interactive');
       dstBox.textContent = outputs[0] || '';
+      dstBox.title = servedBy[0] ? `Provider: ${servedBy[0]}` : '';
     } catch (e) {
       dstBox.innerHTML = escapeHtml(e?.message || String(e));
     }
@@ -171,6 +208,7 @@ function showBubbleAt(rect, opts) {
     if (opts.src != null) srcBox.textContent = String(opts.src);
     if (opts.dst != null) dstBox.textContent = String(opts.dst);
     if (opts.dstHtml != null) dstBox.innerHTML = String(opts.dstHtml);
+    dstBox.title = opts.servedBy ? `Provider: ${opts.servedBy}` : '';
   }
 
   const padding = 8;
@@ -250,17 +288,19 @@ function ensureBanner() {
   bannerEl.className = 'edge-ai-translator-banner';
   bannerEl.innerHTML = `
     <span class="edge-ai-banner-text">翻译中…</span>
-    <button class="edge-ai-banner-cancel" title="取消翻译">取消</button>
+    <span class="edge-ai-banner-actions">
+      <button class="edge-ai-banner-toggle" title="在原文与译文之间切换">显示原文</button>
+      <button class="edge-ai-banner-cancel" title="取消翻译">取消</button>
+    </span>
   `;
   document.body.appendChild(bannerEl);
+  bannerEl.querySelector('.edge-ai-banner-toggle')?.addEventListener('click', () => {
+    toggleOriginal();
+  });
   bannerEl.querySelector('.edge-ai-banner-cancel')?.addEventListener('click', () => {
-    translatingPage = false;
-    try {
-      if (currentJobId) {
-        chrome.runtime.sendMessage({ type: MSG.CANCEL_TRANSLATION, jobId: currentJobId });
-      }
-    } catch {}
-    currentJobId = null;
+    liveMode = false;
+    stopPicker();
+    stopPageJob();
     removeBanner();
   });
   return bannerEl;
@@ -268,29 +308,281 @@ function ensureBanner() {
 
 function setBannerText(text) {
   ensureBanner().querySelector('.edge-ai-banner-text').textContent = text;
+  updateBannerButtons();
+}
+
+function updateBannerButtons() {
+  if (!bannerEl) return;
+  const toggleBtn = bannerEl.querySelector('.edge-ai-banner-toggle');
+  if (toggleBtn) {
+    toggleBtn.style.display = pageRecords.size ? '' : 'none';
+    toggleBtn.textContent = showingOriginal ? '显示译文' : '显示原文';
+  }
+  const cancelBtn = bannerEl.querySelector('.edge-ai-banner-cancel');
+  if (cancelBtn) {
+    cancelBtn.textContent = translatingPage ? '取消' : '关闭';
+    cancelBtn.title = translatingPage ? '取消翻译' : '关闭';
+  }
+}
+
+function removeBannerLater(ms) {
+  try { if (bannerTimer) clearTimeout(bannerTimer); } catch {}
+  bannerTimer = setTimeout(() => {
+    bannerTimer = null;
+    removeBanner();
+  }, ms);
 }
 
 function removeBanner() {
+  try { if (bannerTimer) clearTimeout(bannerTimer); } catch {}
+  bannerTimer = null;
   if (bannerEl && bannerEl.parentNode) {
     bannerEl.parentNode.removeChild(bannerEl);
   }
   bannerEl = null;
-  // clean up observer & state
-  try { pageObserver?.disconnect(); } catch {}
-  pageObserver = null;
-  processedNodes = null;
+}
+
+// ---------- Original / translation toggle & display modes ----------
+// pageRecords is keyed by text node (the first text node for segments), attribute records by themselves:
+//   { kind: 'text', node, original, translated, block } | { kind: 'segment', seg, block }
+//   | { kind: 'attr', el, name, original, translated }
+
+// Write a translation for a node, remembering the original text so it can be restored.
+function applyTranslation(node, translated) {
+  if (!node) return;
+  let rec = pageRecords.get(node);
+  if (!rec) {
+    rec = { kind: 'text', node, original: node.nodeValue, translated, block: null };
+    pageRecords.set(node, rec);
+  } else {
+    rec.translated = translated;
+  }
+  if (displayMode === 'replace') {
+    if (!showingOriginal) withObserverPaused(() => { node.nodeValue = translated; });
+  } else {
+    attachToBlock(node, rec);
+    markBlockDirty(rec.block);
+  }
+  try { processedNodes?.add(node); } catch {}
+  return rec;
+}
+
+// Write a translated attribute value (title, alt, placeholder, ...); attributes have no bilingual form,
+// so they show the translation in every display mode unless the original is being shown.
+function applyAttributeTranslation(el, name, translated) {
+  let rec = attrRecordOf(el, name);
+  if (!rec) {
+    rec = { kind: 'attr', el, name, original: el.getAttribute(name), translated };
+    let byName = attrRecords.get(el);
+    if (!byName) attrRecords.set(el, (byName = new Map()));
+    byName.set(name, rec);
+    pageRecords.set(rec, rec);
+  } else {
+    rec.translated = translated;
+  }
+  if (!showingOriginal) withObserverPaused(() => el.setAttribute(name, translated));
+  return rec;
+}
+
+function attrRecordOf(el, name) {
+  return attrRecords.get(el)?.get(name) || null;
+}
+
+function dropAttributeRecord(rec) {
+  pageRecords.delete(rec);
+  attrRecords.get(rec.el)?.delete(rec.name);
+}
+
+// Rebuild a segment from its translated placeholders; false means the caller should fall back per node.
+function applySegmentTranslation(seg, out) {
+  const tree = parseSegmentTranslation(seg, out);
+  if (!tree) return false;
+  seg.tree = tree;
+  seg.translated = buildTranslatedLayout(seg, tree);
+  const key = seg.textNodes[0];
+  const rec = { kind: 'segment', seg, block: seg.block };
+  pageRecords.set(key, rec);
+  try {
+    for (const n of seg.textNodes) processedNodes?.add(n);
+    for (const n of seg.translated.top) processedNodes?.add(n);
+    for (const kids of seg.translated.children.values()) kids.forEach((n) => processedNodes?.add(n));
+  } catch {}
+  if (displayMode === 'replace') {
+    if (!showingOriginal) withObserverPaused(() => mountLayout(seg, seg.translated));
+  } else {
+    attachToBlock(key, rec);
+    markBlockDirty(rec.block);
+  }
+  return rec;
+}
+
+// Put a record into its original or translated state; false if the page has changed it meanwhile.
+function mountRecord(rec, translated) {
+  if (rec.kind === 'segment') {
+    return mountLayout(rec.seg, translated ? rec.seg.translated : rec.seg.original);
+  }
+  if (rec.kind === 'attr') {
+    const cur = rec.el.getAttribute(rec.name);
+    const want = translated ? rec.translated : rec.original;
+    if (cur === want) return true;
+    if (cur !== rec.original && cur !== rec.translated) return false;
+    rec.el.setAttribute(rec.name, want);
+    return true;
+  }
+  const node = rec.node;
+  const want = translated ? rec.translated : rec.original;
+  if (node.nodeValue === want) return true;
+  if (node.nodeValue !== rec.original && node.nodeValue !== rec.translated) return false;
+  node.nodeValue = want;
+  return true;
+}
+
+// Our own DOM moves must not be picked up as "new content" by the page observer.
+function withObserverPaused(fn) {
+  try { fn(); } finally {
+    try { pageObserver?.takeRecords(); } catch {}
+  }
+}
+
+// Sync every record (and bilingual blocks) with the current mode and toggle state.
+function renderRecords() {
+  const bilingual = displayMode !== 'replace';
+  withObserverPaused(() => {
+    for (const [key, rec] of pageRecords) {
+      const attr = rec.kind === 'attr';
+      if (!mountRecord(rec, !showingOriginal && (attr || !bilingual))) {
+        // 页面脚本已改写该内容，放弃记录以免覆盖新内容
+        if (attr) dropAttributeRecord(rec);
+        else pageRecords.delete(key);
+        continue;
+      }
+      if (bilingual && !attr) attachToBlock(key, rec);
+    }
+  });
+  for (const block of bilingualBlocks.keys()) renderBlock(block);
+}
+
+function setDisplayMode(mode) {
+  displayMode = DISPLAY_MODES.includes(mode) ? mode : 'replace';
+  renderRecords();
+  return { ok: true, count: pageRecords.size, displayMode };
+}
+
+function getConfiguredDisplayMode() {
+  const m = currentConfig?.behavior?.displayMode;
+  return DISPLAY_MODES.includes(m) ? m : 'replace';
+}
+
+function toggleOriginal() {
+  if (!pageRecords.size) return { ok: true, count: 0, showingOriginal };
+  showingOriginal = !showingOriginal;
+  renderRecords();
+  if (translatingPage && bannerEl && !bannerTimer) {
+    updateBannerButtons();
+  } else {
+    setBannerText(showingOriginal ? '已显示原文' : '已显示译文');
+    removeBannerLater(3000);
+  }
+  return { ok: true, count: pageRecords.size, showingOriginal };
+}
+
+// Put the original text back and forget the previous job's records.
+function resetPageRecords() {
+  if (pageRecords.size && !showingOriginal) {
+    showingOriginal = true;
+    renderRecords();
+  }
+  for (const entry of bilingualBlocks.values()) {
+    try { entry.el?.remove(); } catch {}
+  }
+  bilingualBlocks = new Map();
+  dirtyBlocks.clear();
+  pageRecords = new Map();
+  attrRecords = new WeakMap();
+  showingOriginal = false;
+}
+
+// ---------- Bilingual rendering ----------
+// 双语模式下译文写入块元素末尾的独立元素，原文节点保持不变
+const INLINE_DISPLAY = /^(inline|inline-block|inline-flex|inline-grid|contents)$/;
+
+function findBlockAncestor(node, cache) {
+  let el = node.parentElement;
+  while (el && el !== document.body && el !== document.documentElement) {
+    if (!INLINE_DISPLAY.test(displayOf(el, cache))) return el;
+    el = el.parentElement;
+  }
+  return node.parentElement;
+}
+
+function attachToBlock(key, rec) {
+  if (rec.attached) return;
+  if (!rec.block) rec.block = findBlockAncestor(key);
+  if (!rec.block) return;
+  let entry = bilingualBlocks.get(rec.block);
+  if (!entry) {
+    entry = { nodes: [], el: null };
+    bilingualBlocks.set(rec.block, entry);
+  }
+  entry.nodes.push(key);
+  rec.attached = true;
+}
+
+function markBlockDirty(block) {
+  if (!block) return;
+  dirtyBlocks.add(block);
+  if (!bilingualTimer) {
+    bilingualTimer = setTimeout(() => {
+      bilingualTimer = null;
+      const blocks = Array.from(dirtyBlocks);
+      dirtyBlocks.clear();
+      for (const b of blocks) renderBlock(b);
+    }, 16);
+  }
+}
+
+function renderBlock(block) {
+  const entry = bilingualBlocks.get(block);
+  if (!entry) return;
+  entry.nodes = entry.nodes.filter((n) => pageRecords.has(n));
+  const visible = displayMode !== 'replace' && !showingOriginal && block.isConnected && entry.nodes.length > 0;
+  if (!visible) {
+    try { entry.el?.remove(); } catch {}
+    entry.el = null;
+    if (!entry.nodes.length) bilingualBlocks.delete(block);
+    return;
+  }
+  const sep = /^(zh|ja|ko)/i.test(pageTargetLang || '') ? '' : ' ';
+  const frag = document.createDocumentFragment();
+  const keys = entry.nodes
+    .slice()
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+  for (const key of keys) {
+    const rec = pageRecords.get(key);
+    if (frag.childNodes.length && sep) frag.append(sep);
+    if (rec.kind === 'segment') frag.append(cloneSegmentTranslation(rec.seg));
+    else frag.append(String(rec.translated ?? '').trim());
+  }
+  if (!entry.el) entry.el = document.createElement('span');
+  const style = String(currentConfig?.behavior?.bilingualStyle || 'muted').replace(/[^a-z-]/g, '');
+  entry.el.className = `edge-ai-bilingual edge-ai-${displayMode} edge-ai-bilingual-style-${style}`;
+  if (pageTargetLang) entry.el.lang = pageTargetLang;
+  entry.el.replaceChildren(frag);
+  if (entry.el.parentNode !== block) block.appendChild(entry.el);
 }
 
 // ---------- Messaging with background ----------
-function requestTranslation(texts, params = {}, jobId) {
+// Resolves { outputs, servedBy }; servedBy[i] names the provider profile behind outputs[i] ('tm' / 'tm-fuzzy' / 'cache' / 'skip' otherwise).
+// priority orders the background queue: 'interactive' (selection) > 'visible' > 'background' (prefetch) > 'dynamic'.
+function requestTranslation(texts, params = {}, jobId, priority = 'visible') {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(
-      { type: MSG.REQUEST_TRANSLATION, texts, params, jobId },
+      { type: MSG.REQUEST_TRANSLATION, texts, params, jobId, priority },
       (resp) => {
         if (!resp) {
           reject(new Error('No response from background'));
         } else if (resp.ok) {
-          resolve(resp.outputs || []);
+          resolve({ outputs: resp.outputs || [], servedBy: resp.servedBy || [] });
         } else {
           reject(new Error(resp.error || 'Translation failed'));
         }
@@ -314,9 +606,9 @@ async function handleTranslateSelection(payload) {
     const target = getTargetLang();
 
     showBubbleAt(selectionInfo.rect, { src: selectionInfo.text, dstHtml: '<span class="edge-ai-loading"></span> 翻译中…' });
-    const outputs = await requestTranslation([selectionInfo.text], { sourceLang: hint, targetLang: target });
+    const { outputs, servedBy } = await requestTranslation([selectionInfo.text], { sourceLang: hint, targetLang: target, trigger: 'selection' }, undefined, 'interactive');
     const translated = outputs[0] || '';
-    showBubbleAt(selectionInfo.rect, { dst: translated });
+    showBubbleAt(selectionInfo.rect, { dst: translated, servedBy: servedBy[0] });
   } catch (e) {
     showBubbleAt(null, `错误：${escapeHtml(e.message || String(e))}`);
   }
@@ -358,34 +650,39 @@ function getSelectionInfo(externalText) {
 }
 
 // ---------- Page translation ----------
-async function handleTranslatePage() {
+// root: translate only this subtree (element picker); defaults to the whole page
+async function handleTranslatePage(root) {
   if (translatingPage) return;
+  const region = root && root !== document.body && root.isConnected ? root : null;
   translatingPage = true;
   try {
     await loadConfig();
+    if (getSiteRule().neverTranslate) {
+      translatingPage = false;
+      setBannerText('当前站点已设置为从不翻译（可在设置的站点规则中修改）');
+      removeBannerLater(2000);
+      return;
+    }
 
+    try { if (bannerTimer) clearTimeout(bannerTimer); } catch {}
+    bannerTimer = null;
+    if (!region) {
+      resetPageRecords();
+    } else if (showingOriginal) {
+      // 区域翻译保留此前的译文，只需回到译文状态
+      showingOriginal = false;
+      renderRecords();
+    }
+    displayMode = getConfiguredDisplayMode();
     ensureBanner();
-    setBannerText('扫描页面文本…');
+    setBannerText(region ? '扫描所选区域…' : '扫描页面文本…');
 
     // track already processed nodes
     processedNodes = new WeakSet();
     // assign job id for this page translation
     currentJobId = genJobId();
-
-    const nodes = collectTranslatableTextNodes(document.body);
-    console.debug('[EdgeAI] Page translate: nodes=', nodes.length);
-    if (nodes.length === 0) {
-      setBannerText('未发现可翻译文本');
-      setTimeout(removeBanner, 1200);
-      translatingPage = false;
-      currentJobId = null;
-      return;
-    }
-
-    // Make a small sample for detection
-    const sample = nodes.slice(0, Math.min(20, nodes.length)).map(n => n.text).filter(Boolean);
-    const srcHint = detectPageSourceLang(sample);
     const tgt = getTargetLang();
+    pageTargetLang = tgt;
 
     // Behavior-based throttles for dynamic flush & initial batching
     const behavior = (currentConfig && currentConfig.behavior) || {};
@@ -393,174 +690,1282 @@ async function handleTranslatePage() {
     const flushWindow = Math.max(100, Math.min(2000, Number(behavior.dynamicFlushWindowMs ?? 300)));
     const initialBatchSize = Math.max(10, Math.min(80, Number(behavior.pageInitialBatchSize ?? dynamicMaxBatch)));
     const observeMs = Math.max(2000, Math.min(60000, Number(behavior.dynamicObserveMs ?? 10000)));
+    const lazy = behavior.pageMode === 'lazy' && typeof IntersectionObserver === 'function';
+    // sourceLang is detected from the first scanned chunk, before any request is sent
+    const params = { sourceLang: getDefaultSourceLang(), targetLang: tgt, trigger: region ? 'region' : 'page' };
 
-    // Dedup texts: text -> indices[]
-    const textToIdxs = new Map();
-    const uniqueTexts = [];
-    for (let i = 0; i < nodes.length; i++) {
-      const t = nodes[i].text;
-      if (!textToIdxs.has(t)) {
-        textToIdxs.set(t, [i]);
-        uniqueTexts.push(t);
-      } else {
-        textToIdxs.get(t).push(i);
-      }
-    }
-
-    setBannerText(`翻译中（独立段 ${uniqueTexts.length}，总节点 ${nodes.length}，源：${srcHint} → 目标：${tgt}）…`);
-
-    const batchSize = initialBatchSize;
-    let translatedUnique = 0;
+    const job = { id: currentJobId, region, params, lazy, dynamicMaxBatch, flushWindow, pending: [], flushTimer: null, scanning: true };
+    pageJob = job;
+    if (liveMode) startLiveWatchers();
 
-    for (let i = 0; i < uniqueTexts.length && translatingPage; i += batchSize) {
-      const chunk = uniqueTexts.slice(i, i + batchSize);
-      // eslint-disable-next-line no-await-in-loop
-      const outputs = await requestTranslation(chunk, { sourceLang: srcHint, targetLang: tgt }, currentJobId);
-      outputs.forEach((out, idx) => {
-        const txt = chunk[idx];
-        const arr = textToIdxs.get(txt) || [];
-        for (const nodeIdx of arr) {
-          const item = nodes[nodeIdx];
-          if (item && item.node && typeof out === 'string') {
-            item.node.textContent = out;
-            try { processedNodes?.add(item.node); } catch {}
-          }
+    // 扫描与翻译流水线：扫描分片产出的段落立即进入翻译队列，无需等待整页扫描结束
+    const stream = { queue: [], nodes: 0, units: 0, done: 0, scanned: 0, running: null, error: null };
+    const isCurrent = () => translatingPage && pageJob === job;
+    const showProgress = () => {
+      if (lazy && lazyState) return; // flushLazy reports its own progress
+      const scan = job.scanning ? `（扫描中：已检查 ${stream.scanned} 个元素）` : '';
+      setBannerText(`翻译中… ${stream.done}/${stream.units}${scan}`);
+    };
+    const drain = async () => {
+      try {
+        while (isCurrent() && !livePaused && stream.queue.length) {
+          const batch = stream.queue.splice(0, initialBatchSize);
+          // eslint-disable-next-line no-await-in-loop
+          await translateUnits(batch, params, initialBatchSize, { priority: 'visible' });
+          stream.done += batch.length;
+          if (isCurrent()) showProgress();
         }
-      });
-      translatedUnique += chunk.length;
-      setBannerText(`翻译中… ${translatedUnique}/${uniqueTexts.length}`);
-    }
-
-    // Short-lived observer to catch dynamically loaded content (e.g., lazy lists)
-    // observeMs is derived from behavior.dynamicObserveMs
-    let pending = [];
-    let flushTimer = null;
-
-    function queueNodes(newNodes) {
-      for (const it of newNodes) {
-        try {
-          if (processedNodes && !processedNodes.has(it.node)) pending.push(it);
-        } catch {}
-      }
-      if (!flushTimer) {
-        flushTimer = setTimeout(flush, flushWindow);
+      } catch (e) {
+        stream.error = e;
+      } finally {
+        stream.running = null;
       }
-    }
+    };
 
-    async function flush() {
-      const batch = pending.splice(0, pending.length);
-      flushTimer = null;
-      if (!translatingPage || batch.length === 0) return;
-      try {
-        // de-duplicate by text within this batch
-        const map = new Map();
-        for (const it of batch) {
-          if (!processedNodes || !processedNodes.has(it.node)) {
-            const arr = map.get(it.text);
-            if (arr) arr.push(it);
-            else map.set(it.text, [it]);
-          }
+    await scanIncrementally(region || document.body, {
+      onShadowRoot: observeShadowRoot,
+      isCancelled: () => !isCurrent() || livePaused,
+      onProgress: (stats) => {
+        stream.scanned = stats.elements;
+        if (stream.units) showProgress();
+        else setBannerText(`扫描页面文本… 已检查 ${stats.elements} 个元素`);
+      },
+      onItems: (items) => {
+        if (!isCurrent()) return;
+        if (!stream.nodes) {
+          // Make a small sample for detection
+          const sample = items.slice(0, Math.min(20, items.length)).map(n => n.text).filter(Boolean);
+          params.sourceLang = detectPageSourceLang(sample);
         }
-        const texts2 = Array.from(map.keys());
-        if (texts2.length === 0) return;
-        // Respect dynamicMaxBatch to reduce burst size
-        for (let i = 0; i < texts2.length; i += dynamicMaxBatch) {
-          const chunk2 = texts2.slice(i, i + dynamicMaxBatch);
-          // eslint-disable-next-line no-await-in-loop
-          const outs2 = await requestTranslation(chunk2, { sourceLang: srcHint, targetLang: tgt }, currentJobId);
-          outs2.forEach((out, idx) => {
-            const txt = chunk2[idx];
-            const items = map.get(txt) || [];
-            for (const item of items) {
-              if (item && item.node && typeof out === 'string') {
-                item.node.textContent = out;
-                try { processedNodes?.add(item.node); } catch {}
-              }
-            }
-          });
+        stream.nodes += items.length;
+        const units = buildUnits(items);
+        stream.units += units.length;
+        if (lazy) {
+          if (lazyState) {
+            observeLazily(units);
+          } else {
+            startLazyTranslation(units, params, {
+              batchSize: initialBatchSize,
+              marginPx: Math.max(0, Math.min(5000, Number(behavior.lazyPrefetchMarginPx ?? 600))),
+              prefetchMax: Math.max(0, Math.min(500, Number(behavior.lazyPrefetchMaxItems ?? 40)))
+            });
+          }
+          return;
         }
-      } catch {
-        // ignore transient errors
+        stream.queue.push(...units);
+        if (!stream.running) stream.running = drain();
       }
+    });
+    job.scanning = false;
+    while (stream.running) await stream.running;
+    if (stream.error) throw stream.error;
+    if (!isCurrent()) return;
+    if (livePaused) return; // hidden mid-scan: resuming reconnects the observer and rescans the page
+    console.debug('[EdgeAI] Page translate: nodes=', stream.nodes, 'units=', stream.units);
+
+    if (stream.nodes === 0 && !liveMode) {
+      stopPageJob();
+      setBannerText('未发现可翻译文本');
+      removeBannerLater(1200);
+      return;
     }
 
-    try { pageObserver?.disconnect(); } catch {}
-    pageObserver = new MutationObserver((mutations) => {
-      if (!translatingPage) return;
-      for (const m of mutations) {
-        for (const added of m.addedNodes) {
-          const nn = collectTranslatableTextNodes(added);
-          if (nn && nn.length) queueNodes(nn);
-        }
+    // Observer to catch dynamically loaded content (e.g., lazy lists); short-lived unless live mode is on
+    connectPageObserver();
+
+    if (liveMode) {
+      if (!lazy) {
+        setBannerText('实时翻译已开启（新内容将自动翻译）');
+        removeBannerLater(1500);
       }
-    });
-    try { pageObserver.observe(document.body, { childList: true, subtree: true }); } catch {}
+      return;
+    }
 
-    setBannerText(`完成（监听新内容 ${Math.round(observeMs/1000)}秒）`);
+    // observeMs is derived from behavior.dynamicObserveMs
+    if (!lazy) setBannerText(`完成（监听新内容 ${Math.round(observeMs/1000)}秒）`);
     setTimeout(() => {
-      if (!translatingPage) return;
-      translatingPage = false;
+      if (!isCurrent() || liveMode) return;
       try { pageObserver?.disconnect(); } catch {}
       pageObserver = null;
-      setBannerText('完成');
-      setTimeout(removeBanner, 500);
-      currentJobId = null;
+      // 按需模式下仍有未进入视口的内容时继续等待滚动，直到全部翻译或用户取消
+      if (lazyTargets.size || lazyBusy) return;
+      finishPageJob();
     }, observeMs);
 
   } catch (e) {
+    if (livePaused) return; // aborted because the tab was hidden; resuming rescans the page
+    stopPageJob();
     setBannerText(`错误：${e.message || String(e)}`);
-    setTimeout(removeBanner, 2000);
+    removeBannerLater(2000);
+  }
+}
+
+// ---------- Dynamic content ----------
+function connectPageObserver() {
+  try { pageObserver?.disconnect(); } catch {}
+  pageObserver = new MutationObserver(onPageMutations);
+  const opts = observerOptions();
+  try { pageObserver.observe(pageJob?.region || document.body, opts); } catch {}
+  // MutationObserver does not cross shadow boundaries: watch known open shadow roots explicitly
+  if (liveMode) {
+    for (const sr of shadowRoots) {
+      try { pageObserver.observe(sr, opts); } catch {}
+    }
+  }
+}
+
+function observeShadowRoot(sr) {
+  if (shadowRoots.has(sr)) return;
+  shadowRoots.add(sr);
+  if (liveMode && pageObserver) {
+    try { pageObserver.observe(sr, observerOptions()); } catch {}
+  }
+}
+
+function observerOptions() {
+  if (!liveMode) return { childList: true, subtree: true };
+  const opts = { childList: true, subtree: true, characterData: true };
+  const names = getTranslatableAttributes();
+  if (names.length) {
+    opts.attributes = true;
+    opts.attributeFilter = names;
+  }
+  return opts;
+}
+
+function onPageMutations(mutations) {
+  if (!translatingPage || livePaused) return;
+  for (const m of mutations) {
+    if (m.type === 'characterData') {
+      onTextChanged(m.target);
+      continue;
+    }
+    if (m.type === 'attributes') {
+      onAttributeChanged(m.target, m.attributeName);
+      continue;
+    }
+    for (const added of m.addedNodes) {
+      if (added.nodeType === Node.TEXT_NODE) {
+        const it = textItemOf(added);
+        if (it) queueNodes([it]);
+        continue;
+      }
+      const nn = collectTranslatableTextNodes(added, { onShadowRoot: observeShadowRoot });
+      if (nn && nn.length) queueNodes(nn);
+    }
+  }
+  if (liveMode) checkUrlChange();
+}
+
+// Page scripts rewrote a text node (live mode observes characterData).
+function onTextChanged(node) {
+  const rec = pageRecords.get(node);
+  if (rec && rec.kind === 'text') {
+    if (node.nodeValue === rec.translated) return;
+    if (node.nodeValue === rec.original) {
+      // 框架把原文写回：直接复用已有译文，无需重新请求
+      if (displayMode === 'replace' && !showingOriginal) withObserverPaused(() => { node.nodeValue = rec.translated; });
+      return;
+    }
+    pageRecords.delete(node);
+  }
+  try { processedNodes?.delete(node); } catch {}
+  const it = textItemOf(node);
+  if (it) queueNodes([it]);
+}
+
+function onAttributeChanged(el, name) {
+  const rec = attrRecordOf(el, name);
+  if (rec) {
+    const cur = el.getAttribute(name);
+    if (cur === rec.translated) return;
+    if (cur === rec.original) {
+      if (!showingOriginal) withObserverPaused(() => el.setAttribute(name, rec.translated));
+      return;
+    }
+    dropAttributeRecord(rec);
+  }
+  const it = attributeItemOf(el, name);
+  if (it) queueNodes([it]);
+}
+
+function isItemProcessed(it) {
+  if (it.attr) {
+    const rec = attrRecordOf(it.attr.el, it.attr.name);
+    if (!rec) return false;
+    const cur = it.attr.el.getAttribute(it.attr.name);
+    return cur === rec.translated || cur === rec.original;
+  }
+  return !!processedNodes && processedNodes.has(it.node);
+}
+
+function queueNodes(newNodes) {
+  if (!pageJob) return;
+  for (const it of newNodes) {
+    try {
+      if (processedNodes && !isItemProcessed(it)) pageJob.pending.push(it);
+    } catch {}
+  }
+  if (!pageJob.flushTimer && pageJob.pending.length) {
+    pageJob.flushTimer = setTimeout(flushPending, pageJob.flushWindow);
+  }
+}
+
+async function flushPending() {
+  const job = pageJob;
+  if (!job) return;
+  const batch = job.pending.splice(0, job.pending.length);
+  job.flushTimer = null;
+  if (!translatingPage || livePaused || batch.length === 0) return;
+  try {
+    // drop nodes handled since they were queued; translateUnits de-duplicates by text
+    const seen = new Set();
+    const fresh = batch.filter((it) => {
+      const key = it.attr ? `${attrKeyOf(it.attr.el)}:${it.attr.name}` : it.node;
+      if (seen.has(key) || !itemTarget(it).isConnected || isItemProcessed(it)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (fresh.length === 0) return;
+    if (job.lazy) {
+      observeLazily(buildUnits(fresh));
+      return;
+    }
+    // Respect dynamicMaxBatch to reduce burst size
+    await translateUnits(buildUnits(fresh), job.params, job.dynamicMaxBatch, { priority: 'dynamic' });
+  } catch {
+    // ignore transient errors
+  }
+}
+
+// Stop the current page job: cancel in-flight requests and disconnect all observers.
+function stopPageJob() {
+  translatingPage = false;
+  try {
+    if (currentJobId) chrome.runtime.sendMessage({ type: MSG.CANCEL_TRANSLATION, jobId: currentJobId });
+  } catch {}
+  currentJobId = null;
+  try { pageObserver?.disconnect(); } catch {}
+  pageObserver = null;
+  stopLazyTranslation();
+  stopLiveWatchers();
+  if (pageJob?.flushTimer) clearTimeout(pageJob.flushTimer);
+  pageJob = null;
+  processedNodes = null;
+  shadowRoots.clear();
+}
+
+function finishPageJob() {
+  stopPageJob();
+  setBannerText('完成');
+  removeBannerLater(500);
+}
+
+// ---------- Live mode (SPA / infinite feeds) ----------
+// 实时模式：持续监听（含 characterData 与开放的 shadowRoot），跨 pushState 路由保持，
+// 标签页隐藏时暂停并中止在途请求，重新可见时补扫页面。
+function setLiveMode(on) {
+  if (on && getSiteRule().neverTranslate) {
+    setBannerText('当前站点已设置为从不翻译（可在设置的站点规则中修改）');
+    removeBannerLater(2000);
+    return { ok: false, liveMode, error: 'site rule: never translate' };
+  }
+  liveMode = !!on;
+  if (liveMode) {
+    if (translatingPage) {
+      connectPageObserver();
+      startLiveWatchers();
+    } else {
+      handleTranslatePage();
+    }
+    setBannerText('实时翻译已开启');
+  } else {
+    if (translatingPage) stopPageJob();
+    setBannerText('实时翻译已关闭');
+  }
+  removeBannerLater(1500);
+  return { ok: true, liveMode };
+}
+
+function startLiveWatchers() {
+  if (liveWatching) return;
+  liveWatching = true;
+  lastUrl = location.href;
+  document.addEventListener('visibilitychange', onLiveVisibilityChange);
+  window.addEventListener('popstate', checkUrlChange);
+  window.addEventListener('hashchange', checkUrlChange);
+  // Navigation API 可感知页面脚本的 history.pushState（内容脚本无法直接拦截页面的 pushState）
+  try { window.navigation?.addEventListener('navigatesuccess', checkUrlChange); } catch {}
+}
+
+function stopLiveWatchers() {
+  if (!liveWatching) return;
+  liveWatching = false;
+  livePaused = false;
+  document.removeEventListener('visibilitychange', onLiveVisibilityChange);
+  window.removeEventListener('popstate', checkUrlChange);
+  window.removeEventListener('hashchange', checkUrlChange);
+  try { window.navigation?.removeEventListener('navigatesuccess', checkUrlChange); } catch {}
+}
+
+function onLiveVisibilityChange() {
+  if (!liveMode || !translatingPage) return;
+  if (document.visibilityState === 'hidden') {
+    livePaused = true;
+    try { pageObserver?.disconnect(); } catch {}
+    pageObserver = null;
+    if (pageJob?.flushTimer) clearTimeout(pageJob.flushTimer);
+    if (pageJob) { pageJob.flushTimer = null; pageJob.pending = []; }
+    try {
+      if (currentJobId) chrome.runtime.sendMessage({ type: MSG.CANCEL_TRANSLATION, jobId: currentJobId });
+    } catch {}
+    // continue under a fresh job id so the cancellation cannot hit future requests
+    currentJobId = genJobId();
+    if (pageJob) pageJob.id = currentJobId;
+  } else if (livePaused) {
+    livePaused = false;
+    connectPageObserver();
+    rescanPage();
+  }
+}
+
+function checkUrlChange() {
+  if (!liveMode || location.href === lastUrl) return;
+  lastUrl = location.href;
+  pruneDetachedRecords();
+  rescanPage();
+}
+
+function rescanPage() {
+  const job = pageJob;
+  if (job?.region && !job.region.isConnected) return;
+  scanIncrementally(job?.region || document.body, {
+    onShadowRoot: observeShadowRoot,
+    isCancelled: () => !translatingPage || pageJob !== job || livePaused,
+    onItems: queueNodes
+  }).catch(() => {});
+}
+
+function pruneDetachedRecords() {
+  for (const [key, rec] of pageRecords) {
+    const anchor = rec.kind === 'segment' ? rec.seg.block : rec.kind === 'attr' ? rec.el : key;
+    if (!anchor.isConnected) {
+      if (rec.kind === 'attr') dropAttributeRecord(rec);
+      else pageRecords.delete(key);
+    }
+  }
+}
+
+// ---------- Element picker ----------
+// 悬停高亮元素，单击选中后弹出操作：仅翻译该区域（走整页翻译流水线），或把选择器保存为站点 include/exclude 规则。
+let picker = null; // { box, menu, target, locked }
+let lastContextTarget = null;
+
+function startPicker(initial) {
+  if (picker) return { ok: true };
+  if (translatingPage) {
+    setBannerText('正在翻译，请完成或取消后再选择区域');
+    removeBannerLater(1500);
+    return { ok: false, error: 'busy' };
+  }
+  const box = document.createElement('div');
+  box.className = 'edge-ai-picker-box';
+  document.documentElement.appendChild(box);
+  picker = { box, menu: null, target: null, locked: false };
+  document.addEventListener('mousemove', onPickerMove, true);
+  document.addEventListener('click', onPickerClick, true);
+  document.addEventListener('keydown', onPickerKey, true);
+  window.addEventListener('scroll', updatePickerBox, true);
+  window.addEventListener('resize', updatePickerBox);
+  try { if (bannerTimer) clearTimeout(bannerTimer); } catch {}
+  bannerTimer = null;
+  setBannerText('选择区域：移动鼠标高亮，单击选中，Esc 退出');
+  if (initial && initial.isConnected && initial !== document.body && initial !== document.documentElement) lockPicker(initial);
+  return { ok: true };
+}
+
+function stopPicker() {
+  if (!picker) return;
+  document.removeEventListener('mousemove', onPickerMove, true);
+  document.removeEventListener('click', onPickerClick, true);
+  document.removeEventListener('keydown', onPickerKey, true);
+  window.removeEventListener('scroll', updatePickerBox, true);
+  window.removeEventListener('resize', updatePickerBox);
+  try { picker.box.remove(); } catch {}
+  try { picker.menu?.remove(); } catch {}
+  picker = null;
+}
+
+// The innermost page element under the pointer (open shadow roots included), ignoring our own UI.
+function pickerTargetOf(e) {
+  const path = typeof e.composedPath === 'function' ? e.composedPath() : [e.target];
+  for (const n of path) {
+    if (!n || n.nodeType !== Node.ELEMENT_NODE) continue;
+    if (n === document.body || n === document.documentElement) return null;
+    if (isOwnUi(n) || n.closest?.(OWN_UI_SELECTOR)) return null;
+    return n;
+  }
+  return null;
+}
+
+function onPickerMove(e) {
+  if (!picker || picker.locked) return;
+  const el = pickerTargetOf(e);
+  if (el && el !== picker.target) {
+    picker.target = el;
+    updatePickerBox();
+  }
+}
+
+function onPickerClick(e) {
+  if (!picker) return;
+  if (picker.menu && picker.menu.contains(e.target)) return; // menu buttons handle themselves
+  // 选择模式下拦截页面点击（避免触发链接/按钮）
+  e.preventDefault();
+  e.stopPropagation();
+  const el = pickerTargetOf(e);
+  if (el) lockPicker(el);
+}
+
+function onPickerKey(e) {
+  if (!picker) return;
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    e.stopPropagation();
+    if (picker.locked) unlockPicker();
+    else {
+      stopPicker();
+      removeBanner();
+    }
+  }
+}
+
+function updatePickerBox() {
+  if (!picker) return;
+  const el = picker.target;
+  if (!el || !el.isConnected) {
+    picker.box.style.display = 'none';
+    return;
+  }
+  const r = el.getBoundingClientRect();
+  Object.assign(picker.box.style, {
+    display: 'block',
+    left: `${r.left}px`,
+    top: `${r.top}px`,
+    width: `${r.width}px`,
+    height: `${r.height}px`
+  });
+  if (picker.menu) positionPickerMenu(r);
+}
+
+function lockPicker(el) {
+  picker.target = el;
+  picker.locked = true;
+  updatePickerBox();
+  const selector = buildSelector(el);
+  try { picker.menu?.remove(); } catch {}
+  const menu = document.createElement('div');
+  menu.className = 'edge-ai-picker-menu';
+  menu.innerHTML = `
+    <span class="edge-ai-picker-selector" title="${escapeHtml(selector)}">${escapeHtml(selector)}</span>
+    <button data-act="translate" title="只翻译该区域">翻译此区域</button>
+    <button data-act="parent" title="扩大到上一级元素">上一级</button>
+    <button data-act="include" title="保存为站点规则：以后只翻译此类区域">设为仅翻译</button>
+    <button data-act="exclude" title="保存为站点规则：以后始终跳过此类区域">设为跳过</button>
+    <button data-act="cancel" title="重新选择（Esc）">重选</button>
+  `;
+  menu.addEventListener('click', (e) => {
+    const act = e.target?.closest?.('button')?.dataset?.act;
+    if (!act || !picker) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const target = picker.target;
+    if (act === 'translate') {
+      stopPicker();
+      handleTranslatePage(target);
+    } else if (act === 'parent') {
+      const parent = target.parentElement || target.getRootNode()?.host;
+      if (parent && parent !== document.body && parent !== document.documentElement) lockPicker(parent);
+    } else if (act === 'include' || act === 'exclude') {
+      stopPicker();
+      saveSiteSelector(act, selector);
+    } else {
+      unlockPicker();
+    }
+  });
+  document.documentElement.appendChild(menu);
+  picker.menu = menu;
+  positionPickerMenu(el.getBoundingClientRect());
+  setBannerText('已选中区域：选择下方操作，Esc 重新选择');
+}
+
+function unlockPicker() {
+  if (!picker) return;
+  picker.locked = false;
+  try { picker.menu?.remove(); } catch {}
+  picker.menu = null;
+  setBannerText('选择区域：移动鼠标高亮，单击选中，Esc 退出');
+}
+
+function positionPickerMenu(r) {
+  const menu = picker?.menu;
+  if (!menu) return;
+  const h = menu.offsetHeight || 72;
+  const below = r.bottom + 8 + h <= window.innerHeight;
+  const top = below ? r.bottom + 8 : Math.max(8, r.top - h - 8);
+  const left = Math.max(8, Math.min(r.left, window.innerWidth - (menu.offsetWidth || 360) - 8));
+  menu.style.top = `${top}px`;
+  menu.style.left = `${left}px`;
+}
+
+// A reusable selector for similar regions: #id when it looks stable, otherwise tag.classes,
+// anchored to up to two ancestors when the element itself has nothing distinctive.
+function buildSelector(el) {
+  const parts = [];
+  let cur = el;
+  for (let depth = 0; cur && cur.nodeType === Node.ELEMENT_NODE && depth < 3; depth++) {
+    if (cur === document.body || cur === document.documentElement) break;
+    const id = cur.id;
+    if (id && /^[A-Za-z][\w-]*$/.test(id) && !/\d{3,}/.test(id)) {
+      parts.unshift('#' + CSS.escape(id));
+      break;
+    }
+    const classes = Array.from(cur.classList || [])
+      .filter((c) => !c.startsWith('edge-ai-') && /^[A-Za-z_-][\w-]*$/.test(c) && !/\d{3,}/.test(c))
+      .slice(0, 3);
+    parts.unshift(cur.tagName.toLowerCase() + classes.map((c) => '.' + CSS.escape(c)).join(''));
+    if (classes.length) break;
+    cur = cur.parentElement;
+  }
+  return parts.join(' > ');
+}
+
+// Append a selector to the include/exclude rule of the current host (rules are saved through the background).
+async function saveSiteSelector(kind, selector) {
+  const host = (location.hostname || '').toLowerCase();
+  try {
+    if (!host || !selector) throw new Error('当前页面不支持站点规则');
+    const resp = await chrome.runtime.sendMessage({ type: MSG.LOAD_CONFIG });
+    if (!resp?.ok) throw new Error(resp?.error || '加载配置失败');
+    const rules = Array.isArray(resp.config?.siteRules) ? resp.config.siteRules.slice() : [];
+    let rule = rules.find((r) => r?.pattern === host);
+    if (!rule) {
+      rule = { pattern: host, autoTranslate: false, neverTranslate: false, include: '', exclude: '' };
+      rules.push(rule);
+    }
+    const list = String(rule[kind] || '').split(',').map((x) => x.trim()).filter(Boolean);
+    if (!list.includes(selector)) list.push(selector);
+    rule[kind] = list.join(', ');
+    // arrays are replaced, not merged: send the whole list
+    const saved = await chrome.runtime.sendMessage({ type: MSG.SAVE_CONFIG, config: { siteRules: rules } });
+    if (!saved?.ok) throw new Error(saved?.error || '保存失败');
+    currentConfig = saved.config || currentConfig;
+    setBannerText(`已保存站点规则（${kind === 'include' ? '仅翻译' : '跳过'}）：${selector}`);
+  } catch (e) {
+    setBannerText(`保存站点规则失败：${e.message || String(e)}`);
+  }
+  removeBannerLater(2500);
+}
+
+// ---------- Lazy (viewport-first) page translation ----------
+// 仅翻译视口及其附近（prefetch margin）的内容，其余在滚动进入时再排队；
+// 每批新加入的段落（启动时的整页、增量扫描新增的内容）额外预取视口下方至多 prefetchMax 个。
+function startLazyTranslation(units, params, opts) {
+  stopLazyTranslation();
+  lazyState = {
+    params,
+    batchSize: opts.batchSize,
+    prefetchMax: opts.prefetchMax,
+    priming: new Map(), // element -> { budget } of its observed batch, until the observer first reports it
+    visible: [],
+    prefetch: [],
+    done: 0,
+    total: 0
+  };
+  lazyObserver = new IntersectionObserver(onLazyIntersect, { rootMargin: `${opts.marginPx}px 0px` });
+  observeLazily(units);
+  setBannerText(`按需翻译：共 ${lazyState.total} 段，优先翻译可见区域…`);
+}
+
+function lazyTargetOf(unit) {
+  if (unit.segment) return unit.segment.block;
+  if (unit.attr) return unit.attr.el;
+  return unit.node?.parentElement || null;
+}
+
+function observeLazily(units) {
+  if (!lazyObserver || !lazyState) return;
+  const batch = { budget: lazyState.prefetchMax };
+  for (const u of units) {
+    const el = lazyTargetOf(u);
+    if (!el) continue;
+    const arr = lazyTargets.get(el);
+    if (arr) {
+      arr.push(u);
+    } else {
+      lazyTargets.set(el, [u]);
+      lazyState.priming.set(el, batch);
+      try { lazyObserver.observe(el); } catch {}
+    }
+    lazyState.total += 1;
+  }
+}
+
+function takeLazyTarget(el, into) {
+  const arr = lazyTargets.get(el);
+  if (!arr) return 0;
+  lazyTargets.delete(el);
+  lazyState?.priming.delete(el);
+  try { lazyObserver?.unobserve(el); } catch {}
+  into.push(...arr);
+  return arr.length;
+}
+
+function onLazyIntersect(entries) {
+  if (!translatingPage || !lazyState) return;
+  const below = [];
+  for (const e of entries) {
+    const batch = lazyState.priming.get(e.target);
+    lazyState.priming.delete(e.target);
+    if (e.isIntersecting) takeLazyTarget(e.target, lazyState.visible);
+    else if (batch && e.boundingClientRect.top >= 0) below.push({ e, batch });
+  }
+  // the observer reports newly observed targets once: prefetch the nearest ones below the viewport,
+  // up to prefetchMax units per observed batch
+  below.sort((a, b) => a.e.boundingClientRect.top - b.e.boundingClientRect.top);
+  for (const { e, batch } of below) {
+    if (batch.budget > 0) batch.budget -= takeLazyTarget(e.target, lazyState.prefetch);
+  }
+  if (lazyState.visible.length || lazyState.prefetch.length) flushLazy();
+}
+
+async function flushLazy() {
+  if (lazyBusy) return; // the running loop picks up newly queued units
+  lazyBusy = true;
+  try {
+    while (translatingPage && lazyState && (lazyState.visible.length || lazyState.prefetch.length)) {
+      // visible content always jumps ahead of prefetched content
+      const visible = lazyState.visible.length > 0;
+      const queue = visible ? lazyState.visible : lazyState.prefetch;
+      const batch = queue.splice(0, lazyState.batchSize);
+      // eslint-disable-next-line no-await-in-loop
+      await translateUnits(batch, lazyState.params, lazyState.batchSize, { priority: visible ? 'visible' : 'background' });
+      if (!lazyState) break;
+      lazyState.done += batch.length;
+      setBannerText(`按需翻译中… ${lazyState.done}/${lazyState.total}（滚动时继续）`);
+    }
+  } catch {
+    // cancelled or transient errors; remaining targets stay observed
   } finally {
-    if (!translatingPage) {
-      try { pageObserver?.disconnect(); } catch {}
-      pageObserver = null;
-      processedNodes = null;
+    lazyBusy = false;
+  }
+  if (translatingPage && lazyState && !lazyTargets.size && !pageObserver && !pageJob?.scanning && !liveMode) finishPageJob();
+}
+
+function stopLazyTranslation() {
+  try { lazyObserver?.disconnect(); } catch {}
+  lazyObserver = null;
+  lazyTargets.clear();
+  lazyState = null;
+}
+
+// Translate page units ({ text, node } or { text, segment }) in de-duplicated chunks and apply the results.
+async function translateUnits(units, params, batchSize, { priority = 'visible', onProgress } = {}) {
+  const textToUnits = new Map();
+  for (const u of units) {
+    const arr = textToUnits.get(u.text);
+    if (arr) arr.push(u);
+    else textToUnits.set(u.text, [u]);
+  }
+  const uniqueTexts = Array.from(textToUnits.keys());
+  const fallback = [];
+  let done = 0;
+
+  for (let i = 0; i < uniqueTexts.length && translatingPage && !livePaused; i += batchSize) {
+    const chunk = uniqueTexts.slice(i, i + batchSize);
+    // eslint-disable-next-line no-await-in-loop
+    const { outputs, servedBy } = await requestTranslation(chunk, params, currentJobId, priority);
+    if (!translatingPage || livePaused) break;
+    outputs.forEach((out, idx) => {
+      if (typeof out !== 'string') return;
+      for (const u of textToUnits.get(chunk[idx]) || []) {
+        let rec = null;
+        if (u.segment) {
+          // 占位标签被模型破坏时退回逐节点翻译
+          rec = applySegmentTranslation(u.segment, out);
+          if (!rec) fallback.push(...segmentTextItems(u.segment));
+        } else if (u.attr) {
+          rec = applyAttributeTranslation(u.attr.el, u.attr.name, out);
+        } else if (u.node) {
+          rec = applyTranslation(u.node, out);
+        }
+        if (rec && servedBy[idx]) rec.servedBy = servedBy[idx]; // for debugging
+      }
+    });
+    done += chunk.length;
+    if (onProgress) onProgress(done, uniqueTexts.length);
+  }
+
+  if (fallback.length && translatingPage && !livePaused) {
+    await translateUnits(fallback, params, batchSize, { priority });
+  }
+}
+
+// ---------- Block segmentation ----------
+// 将块元素内连续的行内内容合并为一个段落发送，行内元素编码为编号占位标签，例如：
+//   Click <x1>here</x1> to <x2>continue</x2>
+// 无需翻译的行内元素（代码、图片、换行等）编码为自闭合标签 <x3/>，译文回填时原样保留。
+const ATOMIC_TAGS = /^(BR|WBR|IMG|PICTURE|VIDEO|AUDIO|MATH|KBD|SAMP|VAR|TEMPLATE)$/;
+const PLACEHOLDER_RE = /<\s*(\/?)\s*x(\d+)\s*(\/?)\s*>/gi;
+
+function getSegmentationMode() {
+  return currentConfig?.behavior?.segmentation === 'node' ? 'node' : 'block';
+}
+
+// Turn collected text nodes into translation units: block segments where possible, single nodes otherwise.
+function buildUnits(items) {
+  if (getSegmentationMode() !== 'block') return items;
+  const accepted = new Set(items.map((it) => it.node));
+  const displayCache = new WeakMap();
+  const nodeToSegment = new Map();
+  const visitedBlocks = new Set();
+
+  for (const it of items) {
+    if (!it.node) continue; // attribute items stay as they are
+    const block = findBlockAncestor(it.node, displayCache);
+    if (!block || visitedBlocks.has(block)) continue;
+    visitedBlocks.add(block);
+    for (const seg of splitRuns(block, accepted, displayCache)) {
+      // 单个纯文本节点无需占位编码，保持逐节点路径（保留节点身份）
+      if (!seg.elements.length && seg.textNodes.length === 1) continue;
+      for (const n of seg.textNodes) nodeToSegment.set(n, seg);
     }
   }
+
+  // emit in document order of the collected nodes
+  const units = [];
+  const emitted = new Set();
+  for (const it of items) {
+    const seg = it.node && nodeToSegment.get(it.node);
+    if (!seg) {
+      units.push(it);
+    } else if (!emitted.has(seg)) {
+      emitted.add(seg);
+      units.push({ text: seg.source, segment: seg });
+    }
+  }
+  return units;
 }
 
-function collectTranslatableTextNodes(root) {
-  const nodes = [];
-  const SKIP_TAGS = /(SCRIPT|STYLE|NOSCRIPT|IFRAME|OBJECT|EMBED|CANVAS|SVG|CODE|PRE|TEXTAREA|INPUT|SELECT|OPTION)/;
+function displayOf(el, cache) {
+  let d = cache?.get(el);
+  if (d === undefined) {
+    try { d = window.getComputedStyle(el).display; } catch { d = ''; }
+    cache?.set(el, d);
+  }
+  return d;
+}
 
-  const acceptNode = (node) => {
-    if (!node.nodeValue || !node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
-    const p = node.parentElement;
-    if (!p) return NodeFilter.FILTER_REJECT;
-    // 不翻译扩展自身的 UI
-    if (p.closest('.edge-ai-translator-bubble')) return NodeFilter.FILTER_REJECT;
-    const tag = p.tagName;
-    if (!isVisible(p)) return NodeFilter.FILTER_REJECT;
-    if (p.isContentEditable) return NodeFilter.FILTER_REJECT;
-    if (SKIP_TAGS.test(tag)) return NodeFilter.FILTER_REJECT;
-    return NodeFilter.FILTER_ACCEPT;
+function isBlockElement(el, cache) {
+  const d = displayOf(el, cache);
+  return d !== 'none' && !INLINE_DISPLAY.test(d);
+}
+
+// Split a block's children into runs of inline content separated by nested blocks.
+function splitRuns(block, accepted, cache) {
+  const runs = [];
+  let run = null;
+  const flush = () => {
+    if (run && !run.unsafe && run.textNodes.length) {
+      run.source = run.source.replace(/\s+/g, ' ').trim();
+      if (run.source) runs.push(run);
+    }
+    run = null;
   };
+  for (const child of Array.from(block.childNodes)) {
+    if (child.nodeType === Node.ELEMENT_NODE && (isBlockElement(child, cache) || isOwnUi(child))) {
+      flush();
+      continue;
+    }
+    if (!run) {
+      run = { block, top: [], source: '', elements: [], byId: new Map(), textNodes: [], unsafe: false, current: null };
+    }
+    run.top.push(child);
+    encodeNode(child, run, 0, accepted, cache);
+  }
+  flush();
+  for (const r of runs) {
+    r.original = snapshotLayout(r);
+    r.current = r.original.top;
+  }
+  return runs;
+}
+
+function isOwnUi(el) {
+  return !!el.classList && (el.classList.contains('edge-ai-bilingual') ||
+    el.classList.contains('edge-ai-translator-banner') || el.classList.contains('edge-ai-translator-bubble') ||
+    el.classList.contains('edge-ai-picker-menu'));
+}
+
+// Append the placeholder encoding of a node to run.source; returns the number of accepted text nodes inside.
+function encodeNode(node, run, parentId, accepted, cache) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    if (accepted.has(node)) {
+      run.textNodes.push(node);
+      run.source += node.nodeValue;
+      return 1;
+    }
+    if (node.nodeValue.trim()) run.unsafe = true; // 已翻译或被拒绝的文本混入，整段放弃
+    else run.source += ' ';
+    return 0;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return 0; // comments etc. are dropped from the translated layout
+
+  const el = node;
+  if (isBlockElement(el, cache) || isOwnUi(el)) {
+    run.unsafe = true;
+    return 0;
+  }
+  const id = run.elements.length + 1;
+  // 站点规则排除的行内元素（如用户名）作为占位保留，不打断整段翻译
+  const atomic = ATOMIC_TAGS.test(el.tagName) || SKIP_TAGS.test(el.tagName) || displayOf(el, cache) === 'none' || el.isContentEditable ||
+    isSiteExcluded(el);
+  if (!atomic) {
+    const mark = { source: run.source.length, elements: run.elements.length };
+    const info = { id, el, paired: true, parentId };
+    run.elements.push(info);
+    run.byId.set(id, info);
+    run.source += `<x${id}>`;
+    let count = 0;
+    for (const child of Array.from(el.childNodes)) count += encodeNode(child, run, id, accepted, cache);
+    if (count > 0) {
+      run.source += `</x${id}>`;
+      return count;
+    }
+    // nothing translatable inside: roll back and keep the element as an atomic placeholder
+    run.source = run.source.slice(0, mark.source);
+    for (const dropped of run.elements.splice(mark.elements)) run.byId.delete(dropped.id);
+  }
+  const info = { id, el, paired: false, parentId };
+  run.elements.push(info);
+  run.byId.set(id, info);
+  run.source += `<x${id}/>`;
+  return 0;
+}
+
+function snapshotLayout(seg) {
+  const children = new Map();
+  for (const info of seg.elements) {
+    if (info.paired) children.set(info.el, Array.from(info.el.childNodes));
+  }
+  return { top: seg.top.slice(), children };
+}
+
+// Parse a translated segment back into a tree; returns null when placeholders were mangled.
+function parseSegmentTranslation(seg, out) {
+  const root = { id: 0, children: [] };
+  const stack = [root];
+  const seen = new Set();
+  let last = 0;
+  let m;
+  const pushText = (t) => { if (t) stack[stack.length - 1].children.push(t); };
+  PLACEHOLDER_RE.lastIndex = 0;
+  while ((m = PLACEHOLDER_RE.exec(out))) {
+    pushText(out.slice(last, m.index));
+    last = PLACEHOLDER_RE.lastIndex;
+    const closing = !!m[1];
+    const selfClosing = !!m[3];
+    const id = Number(m[2]);
+    const info = seg.byId.get(id);
+    const top = stack[stack.length - 1];
+    if (!info) return null;
+    if (closing) {
+      if (top.id !== id) return null;
+      stack.pop();
+      continue;
+    }
+    if (seen.has(id) || info.paired === selfClosing || info.parentId !== top.id) return null;
+    seen.add(id);
+    const child = { id, children: [] };
+    top.children.push(child);
+    if (!selfClosing) stack.push(child);
+  }
+  pushText(out.slice(last));
+  if (stack.length !== 1 || seen.size !== seg.elements.length) return null;
+  return root;
+}
+
+// Build the translated layout: paired elements are reused (keeps listeners/attributes), text is new.
+function buildTranslatedLayout(seg, tree) {
+  const children = new Map();
+  const build = (node) => node.children.map((c) => {
+    if (typeof c === 'string') return document.createTextNode(c);
+    const info = seg.byId.get(c.id);
+    if (info.paired) children.set(info.el, build(c));
+    return info.el;
+  });
+  const top = build(tree);
+  return { top, children };
+}
+
+// Same tree as a detached copy, for bilingual display next to the untouched original.
+function cloneSegmentTranslation(seg) {
+  const build = (node) => node.children.map((c) => {
+    if (typeof c === 'string') return document.createTextNode(c);
+    const info = seg.byId.get(c.id);
+    const el = info.el.cloneNode(!info.paired);
+    try { el.removeAttribute('id'); } catch {}
+    if (info.paired) el.append(...build(c));
+    return el;
+  });
+  const frag = document.createDocumentFragment();
+  frag.append(...build(seg.tree));
+  return frag;
+}
+
+function mountLayout(seg, layout) {
+  if (seg.current === layout.top) return true;
+  if (!seg.block.isConnected || !seg.current.every((n) => n.parentNode === seg.block)) return false;
+  for (const [el, kids] of layout.children) el.replaceChildren(...kids);
+  const first = seg.current[0];
+  const marker = document.createTextNode('');
+  seg.block.insertBefore(marker, first);
+  for (const n of seg.current) {
+    if (n.parentNode === seg.block) seg.block.removeChild(n);
+  }
+  for (const n of layout.top) seg.block.insertBefore(n, marker);
+  marker.remove();
+  seg.current = layout.top;
+  return true;
+}
+
+function segmentTextItems(seg) {
+  return seg.textNodes
+    .map((n) => ({ node: n, text: (n.nodeValue || '').trim() }))
+    .filter((it) => it.text);
+}
+
+const SKIP_TAGS = /(SCRIPT|STYLE|NOSCRIPT|IFRAME|OBJECT|EMBED|CANVAS|SVG|CODE|PRE|TEXTAREA|INPUT|SELECT|OPTION)/;
+const OWN_UI_SELECTOR = '.edge-ai-translator-bubble, .edge-ai-translator-banner, .edge-ai-bilingual, .edge-ai-picker-menu';
+
+// ---------- Scanner ----------
+// 元素级判定（每个元素只计算一次样式/布局）：
+//   SCAN_REJECT  整棵子树跳过（脚本/代码等、display:none、可编辑区、扩展自身 UI）
+//   SCAN_SKIP    元素自身的文本不翻译，但继续遍历子元素（visibility:hidden 的子元素可能重新可见）
+//   SCAN_ACCEPT  直接子文本节点可翻译
+const SCAN_REJECT = 0;
+const SCAN_SKIP = 1;
+const SCAN_ACCEPT = 2;
+// Time budget of one scan slice when requestIdleCallback gives no deadline
+const SCAN_SLICE_MS = 12;
+
+function elementVerdict(el, cache) {
+  let v = cache?.get(el);
+  if (v !== undefined) return v;
+  if (SKIP_TAGS.test(el.tagName) || isOwnUi(el) || el.isContentEditable) {
+    v = SCAN_REJECT;
+  } else {
+    const style = window.getComputedStyle(el);
+    if (style.display === 'none') v = SCAN_REJECT;
+    else v = isVisible(el, style) ? SCAN_ACCEPT : SCAN_SKIP;
+  }
+  cache?.set(el, v);
+  return v;
+}
+
+function acceptTextNode(node, cache) {
+  if (!node.nodeValue || !node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
+  const p = node.parentElement;
+  if (!p) return NodeFilter.FILTER_REJECT;
+  return elementVerdict(p, cache) === SCAN_ACCEPT ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+}
+
+// ---------- Site rules ----------
+// siteRules: [{ pattern: 'example.com' | '*.example.com', autoTranslate, neverTranslate, include, exclude }]
+// 当前站点匹配的所有规则合并生效；include/exclude 为 CSS 选择器，叠加在 SKIP_TAGS 之上。
+let siteRuleCache = null;
+
+function hostMatches(pattern, host) {
+  const p = String(pattern || '').trim().toLowerCase();
+  if (!p) return false;
+  if (p.startsWith('*.')) {
+    const base = p.slice(2);
+    return host === base || host.endsWith('.' + base);
+  }
+  return host === p;
+}
+
+function isValidSelector(sel) {
+  if (typeof sel !== 'string' || !sel.trim()) return false;
+  try {
+    document.createDocumentFragment().querySelector(sel);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  function collectFrom(rootNode) {
+function getSiteRule() {
+  const host = (location.hostname || '').toLowerCase();
+  if (siteRuleCache && siteRuleCache.config === currentConfig && siteRuleCache.host === host) return siteRuleCache.rule;
+  const rule = { autoTranslate: false, neverTranslate: false, include: '', exclude: '' };
+  const include = [];
+  const exclude = [];
+  const rules = Array.isArray(currentConfig?.siteRules) ? currentConfig.siteRules : [];
+  for (const r of rules) {
+    if (!r || !hostMatches(r.pattern, host)) continue;
+    if (r.autoTranslate) rule.autoTranslate = true;
+    if (r.neverTranslate) rule.neverTranslate = true;
+    if (isValidSelector(r.include)) include.push(r.include.trim());
+    if (isValidSelector(r.exclude)) exclude.push(r.exclude.trim());
+  }
+  rule.include = include.join(', ');
+  rule.exclude = exclude.join(', ');
+  siteRuleCache = { config: currentConfig, host, rule };
+  return rule;
+}
+
+// withAncestors: also check ancestors (for roots that the scanner did not reach from above)
+function isSiteExcluded(el, withAncestors) {
+  const sel = getSiteRule().exclude;
+  if (!sel || !el || el.nodeType !== Node.ELEMENT_NODE) return false;
+  try {
+    return withAncestors ? !!el.closest(sel) : el.matches(sel);
+  } catch {
+    return false;
+  }
+}
+
+// A region picked by the user is translated even outside the site's include selectors.
+function activeIncludeSelector() {
+  return pageJob?.region ? '' : getSiteRule().include;
+}
+
+function passesSiteRule(el) {
+  if (!el) return false;
+  const exclude = getSiteRule().exclude;
+  const include = activeIncludeSelector();
+  try {
+    if (exclude && el.closest(exclude)) return false;
+    if (include && !el.closest(include)) return false;
+  } catch {}
+  return true;
+}
+
+// ---------- Attributes ----------
+// 默认只翻译用户可见的属性（提示、替代文本、占位符、按钮文字）；aria-label 等可在设置中追加
+const DEFAULT_TRANSLATABLE_ATTRIBUTES = ['title', 'alt', 'placeholder', 'value'];
+
+function getTranslatableAttributes() {
+  const list = currentConfig?.behavior?.translateAttributes;
+  return Array.isArray(list) ? list : DEFAULT_TRANSLATABLE_ATTRIBUTES;
+}
+
+// One translatable attribute of an element, or null. `value` only counts for button-like inputs.
+function attributeItemOf(el, name, checked) {
+  const v = el.getAttribute(name);
+  if (!v || !v.trim()) return null;
+  if (name === 'value' && !(el.tagName === 'INPUT' && /^(submit|button|reset)$/i.test(el.type || ''))) return null;
+  if (!checked) {
     try {
-      const walker = document.createTreeWalker(rootNode, NodeFilter.SHOW_TEXT, { acceptNode });
-      let current;
-      while ((current = walker.nextNode())) {
-        const t = current.nodeValue.trim();
-        if (t) nodes.push({ node: current, text: t });
+      if (el.closest(OWN_UI_SELECTOR) || !passesSiteRule(el) || !isVisible(el)) return null;
+    } catch {
+      return null;
+    }
+  }
+  return { text: v.trim(), attr: { el, name } };
+}
+
+function attributeItemsOf(el, names, out, verdict) {
+  let found = false;
+  for (const name of names) {
+    if (el.hasAttribute(name)) { found = true; break; }
+  }
+  if (!found || isOwnUi(el)) return;
+  // rejected elements (inputs, code, ...) still show their attributes when they are visible
+  if (verdict === SCAN_SKIP) return;
+  if (verdict === SCAN_REJECT && !isVisible(el)) return;
+  for (const name of names) {
+    const it = attributeItemOf(el, name, true);
+    if (it) out.push(it);
+  }
+}
+
+// Stable per-element id used to de-duplicate attribute items
+const attrKeys = new WeakMap();
+let attrKeySeq = 0;
+function attrKeyOf(el) {
+  let k = attrKeys.get(el);
+  if (!k) attrKeys.set(el, (k = ++attrKeySeq));
+  return k;
+}
+
+function itemTarget(it) {
+  return it.attr ? it.attr.el : it.node;
+}
+
+function textItemOf(node) {
+  try {
+    // 不翻译扩展自身的 UI
+    if (node.parentElement?.closest(OWN_UI_SELECTOR)) return null;
+    if (!passesSiteRule(node.parentElement)) return null;
+    if (acceptTextNode(node) !== NodeFilter.FILTER_ACCEPT) return null;
+  } catch {
+    return null;
+  }
+  return { node, text: node.nodeValue.trim() };
+}
+
+// Resumable walk over elements and text nodes. Rejected elements prune their subtree, and open
+// shadow roots are discovered on the way (queued after the light tree) instead of via querySelectorAll('*').
+function createScanner(root, opts = {}) {
+  const cache = new Map(); // Element -> verdict, for the lifetime of this scan
+  const roots = [];
+  const stats = { elements: 0, items: 0 };
+  const attrNames = opts.attributes ?? getTranslatableAttributes();
+  const attrItems = [];
+  const includeSel = activeIncludeSelector();
+  const included = includeSel ? new Map() : null; // Element -> inside an include selector
+  let walker = null;
+
+  // include selectors restrict translation to matching subtrees (shadow hosts count as parents)
+  function isIncluded(el) {
+    if (!el) return false;
+    let v = included.get(el);
+    if (v === undefined) {
+      try { v = el.matches(includeSel); } catch { v = false; }
+      v = v || isIncluded(el.parentElement || el.getRootNode().host);
+      included.set(el, v);
+    }
+    return v;
+  }
+
+  const filter = {
+    acceptNode(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const r = acceptTextNode(node, cache);
+        if (r === NodeFilter.FILTER_ACCEPT && included && !isIncluded(node.parentElement)) return NodeFilter.FILTER_REJECT;
+        return r;
       }
-      // 遍历 Shadow DOM（很多站点把正文挂在 web components 的 shadowRoot 内）
-      const els = rootNode.querySelectorAll ? rootNode.querySelectorAll('*') : [];
-      for (const el of els) {
-        const sr = el.shadowRoot;
-        if (sr) collectFrom(sr);
+      stats.elements++;
+      if (isSiteExcluded(node)) return NodeFilter.FILTER_REJECT;
+      const sr = node.shadowRoot;
+      const v = elementVerdict(node, cache);
+      if (attrNames.length && (!included || isIncluded(node))) attributeItemsOf(node, attrNames, attrItems, v);
+      if (v === SCAN_REJECT) return NodeFilter.FILTER_REJECT;
+      if (sr) {
+        if (opts.onShadowRoot) opts.onShadowRoot(sr);
+        roots.push(sr);
       }
-    } catch {
-      // 某些根可能不支持 querySelectorAll / TreeWalker；忽略即可
+      return NodeFilter.FILTER_SKIP;
+    }
+  };
+
+  try {
+    if (root.nodeType === Node.TEXT_NODE) {
+      roots.push(root);
+    } else if (root.nodeType === Node.ELEMENT_NODE) {
+      // 不翻译扩展自身的 UI 与站点规则排除的区域
+      if (!root.closest(OWN_UI_SELECTOR) && !isSiteExcluded(root, true)) {
+        const v = elementVerdict(root, cache);
+        if (attrNames.length && (!included || isIncluded(root))) attributeItemsOf(root, attrNames, attrItems, v);
+        if (v !== SCAN_REJECT) {
+          roots.push(root);
+          if (root.shadowRoot) {
+            if (opts.onShadowRoot) opts.onShadowRoot(root.shadowRoot);
+            roots.push(root.shadowRoot);
+          }
+        }
+      }
+    } else if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      roots.push(root);
+    }
+  } catch {}
+
+  // Walk until finished (returns true) or until shouldYield() says the slice is used up.
+  function step(shouldYield, out) {
+    let n = 0;
+    for (;;) {
+      if (!walker) {
+        if (attrItems.length) {
+          stats.items += attrItems.length;
+          out.push(...attrItems.splice(0));
+        }
+        const next = roots.shift();
+        if (!next) return true;
+        if (next.nodeType === Node.TEXT_NODE) {
+          const it = textItemOf(next);
+          if (it) { out.push(it); stats.items++; }
+          continue;
+        }
+        try {
+          walker = document.createTreeWalker(next, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, filter);
+        } catch {
+          continue;
+        }
+      }
+      const node = walker.nextNode();
+      if (attrItems.length) {
+        // attributes of elements passed on the way, in document order before the text that follows them
+        stats.items += attrItems.length;
+        out.push(...attrItems.splice(0));
+      }
+      if (!node) {
+        walker = null;
+        continue;
+      }
+      const t = node.nodeValue.trim();
+      if (t) { out.push({ node, text: t }); stats.items++; }
+      // check the clock every few nodes only
+      if ((++n & 31) === 0 && shouldYield()) return false;
     }
   }
 
-  collectFrom(root);
+  return { step, stats };
+}
+
+function collectTranslatableTextNodes(root, opts = {}) {
+  const nodes = [];
+  createScanner(root, opts).step(() => false, nodes);
   return nodes;
 }
 
-function isVisible(el) {
-  const style = window.getComputedStyle(el);
+function nextIdleSlice() {
+  return new Promise((resolve) => {
+    if (typeof requestIdleCallback === 'function') requestIdleCallback(resolve, { timeout: 200 });
+    else setTimeout(() => resolve(null), 0);
+  });
+}
+
+// Scan in idle-time slices so huge pages stay responsive. Items are streamed to onItems per slice;
+// trailing items of a block that is still being scanned are held back so block segments stay whole.
+async function scanIncrementally(root, opts = {}) {
+  const scanner = createScanner(root, opts);
+  const displayCache = new WeakMap();
+  let carry = [];
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const idle = await nextIdleSlice();
+    if (opts.isCancelled && opts.isCancelled()) return false;
+    const start = performance.now();
+    const budget = idle && !idle.didTimeout ? Math.max(4, Math.min(SCAN_SLICE_MS, idle.timeRemaining())) : SCAN_SLICE_MS;
+    const items = carry;
+    const finished = scanner.step(() => performance.now() - start >= budget, items);
+    carry = [];
+    if (!finished && items.length) {
+      const block = findBlockAncestor(itemTarget(items[items.length - 1]), displayCache);
+      let cut = items.length;
+      while (cut > 0 && findBlockAncestor(itemTarget(items[cut - 1]), displayCache) === block) cut--;
+      // a single giant block is flushed anyway once it gets very large
+      if (cut > 0 || items.length < 2000) carry = items.splice(cut);
+    }
+    if (items.length && opts.onItems) opts.onItems(items);
+    if (opts.onProgress) opts.onProgress(scanner.stats);
+    if (finished) return true;
+  }
+}
+
+function isVisible(el, style = window.getComputedStyle(el)) {
   if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
   const rect = el.getBoundingClientRect();
   return rect.width > 0 && rect.height > 0;
@@ -604,8 +2009,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         catch (e) { sendResponse({ ok: false, error: e?.message || String(e) }); }
       })();
       return true; // async
+    } else if (message.type === MSG.TOGGLE_ORIGINAL) {
+      sendResponse(toggleOriginal());
+      return; // no async
+    } else if (message.type === MSG.START_PICKER) {
+      sendResponse(startPicker(message.fromContextMenu ? lastContextTarget : null));
+      return; // no async
+    } else if (message.type === MSG.TOGGLE_LIVE) {
+      const on = typeof message.on === 'boolean' ? message.on : !liveMode;
+      sendResponse(setLiveMode(on));
+      return; // no async
+    } else if (message.type === MSG.SET_DISPLAY_MODE) {
+      (async () => {
+        // refresh bilingualStyle etc. before re-rendering; no provider calls involved
+        try { await loadConfig(); sendResponse(setDisplayMode(message.mode)); }
+        catch (e) { sendResponse({ ok: false, error: e?.message || String(e) }); }
+      })();
+      return true; // async
     }
   } catch (e) {
     // swallow
   }
-});
\ No newline at end of file
+});
+
+// Remember the right-clicked element so "Translate this region" can pre-select it.
+document.addEventListener('contextmenu', (e) => {
+  lastContextTarget = typeof e.composedPath === 'function' ? e.composedPath()[0] : e.target;
+  if (lastContextTarget && lastContextTarget.nodeType !== Node.ELEMENT_NODE) lastContextTarget = lastContextTarget.parentElement;
+}, true);
+
+// ---------- Site rules: auto-translate on load ----------
+loadConfig().then(() => {
+  const rule = getSiteRule();
+  if (rule.autoTranslate && !rule.neverTranslate) handleTranslatePage();
+}).catch(() => {});
\ No newline at end of file
@@ -0,0 +1,564 @@
+// Edge AI Translator - Two-tier translation cache: in-memory LRU + IndexedDB (MV3-safe, ES module)
+//
+// Exports:
+// - PersistentStore: IndexedDB key/value store with TTL, byte-size eviction and buffered writes
+// - TieredCache: LRUCache (memory tier) in front of a PersistentStore
+//
+// Notes:
+// - MV3 suspends the service worker after ~30 s idle: the memory tier is lost, the IndexedDB tier survives.
+// - TTL semantics match LRUCache: per-entry expiry, 0 = no expiration, expired entries are dropped on access
+//   (and before size eviction).
+// - Writes are buffered and flushed in one transaction (debounced, or as soon as the buffer is full);
+//   reads see buffered writes.
+// - getMany() answers from memory first and looks up at most `maxLookup` misses in one read transaction,
+//   giving up after `lookupTimeoutMs` (keys not answered by then count as misses). Opening the database is
+//   not part of that budget: it starts with the TieredCache and lookups wait up to OPEN_TIMEOUT_MS for it,
+//   so the first lookups after a service worker wake still reach the persistent tier.
+// - The store is kept under maxBytes (approximate UTF-16 size) by deleting the least recently used records;
+//   access time is refreshed at most once per TOUCH_INTERVAL_MS so reads stay read-only most of the time.
+// - entries() / stats() / purge() walk the whole store; they are meant for the options page, not the hot path.
+// - Without IndexedDB (or if opening fails) the store is a no-op and only the memory tier is used.
+
+import { LRUCache } from './cache.js';
+
+const DB_NAME = 'edge-ai-translator-cache';
+const DB_VERSION = 1;
+const STORE = 'translations';
+const META = 'meta';
+const STATS_ID = 'stats';
+
+const FLUSH_DELAY_MS = 500;
+const FLUSH_MAX_PENDING = 200;
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+const OPEN_TIMEOUT_MS = 2000;
+// evict down to this share of maxBytes so eviction does not run on every flush
+const EVICT_TARGET_RATIO = 0.9;
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function entryBytes(key, value) {
+  const v = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+  return (String(key).length + v.length) * 2 + 64;
+}
+
+function isExpired(rec, now) {
+  return !!rec && rec.exp > 0 && rec.exp <= now;
+}
+
+export class PersistentStore {
+  /**
+   * @param {Object} opts
+   * @param {number} [opts.maxBytes=20971520] - approximate size budget (20 MB)
+   * @param {string} [opts.dbName]
+   */
+  constructor(opts = {}) {
+    const { maxBytes = 20 * 1024 * 1024, dbName = DB_NAME } = opts || {};
+    this.maxBytes = Math.max(64 * 1024, Number(maxBytes) || 0);
+    this.dbName = dbName;
+    this.dbPromise = null;
+    this.pending = new Map(); // key -> record | null (delete)
+    this.flushTimer = null;
+    this.flushing = null;
+    this.bytes = 0;
+    this.count = 0;
+  }
+
+  _db() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        try {
+          if (typeof indexedDB === 'undefined') { resolve(null); return; }
+          const req = indexedDB.open(this.dbName, DB_VERSION);
+          req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+              const store = db.createObjectStore(STORE, { keyPath: 'k' });
+              store.createIndex('at', 'at');
+              store.createIndex('exp', 'exp');
+            }
+            if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'id' });
+          };
+          req.onsuccess = () => {
+            const db = req.result;
+            // another version elsewhere (e.g. an updated extension) wants the database
+            db.onversionchange = () => { try { db.close(); } catch {} this.dbPromise = null; };
+            resolve(db);
+          };
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        } catch {
+          resolve(null);
+        }
+      }).then(async (db) => {
+        if (db) await this._loadStats(db);
+        return db;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async _loadStats(db) {
+    try {
+      const tx = db.transaction(META, 'readonly');
+      const req = tx.objectStore(META).get(STATS_ID);
+      await txDone(tx);
+      this.bytes = req.result?.bytes || 0;
+      this.count = req.result?.count || 0;
+    } catch {}
+  }
+
+  // Resolve db, or null when opening takes longer than timeoutMs
+  _dbWithin(timeoutMs) {
+    return Promise.race([this._db(), new Promise((resolve) => setTimeout(() => resolve(null), timeoutMs))]);
+  }
+
+  // Start opening the database ahead of the first lookup
+  open() {
+    this._db();
+  }
+
+  /**
+   * Look up keys in one read transaction; stops waiting for it after timeoutMs (the open is awaited separately).
+   * @returns {Promise<Map<string, {v:any, exp:number, at:number}>>} live records only
+   */
+  async getMany(keys, timeoutMs = 150) {
+    const out = new Map();
+    const rest = [];
+    for (const k of keys) {
+      if (!this.pending.has(k)) { rest.push(k); continue; }
+      const rec = this.pending.get(k);
+      if (rec && !isExpired(rec, Date.now())) out.set(k, rec);
+    }
+    if (!rest.length) return out;
+    const db = await this._dbWithin(OPEN_TIMEOUT_MS);
+    if (!db) return out;
+    return new Promise((resolve) => {
+      let left = rest.length;
+      let done = false;
+      const end = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        resolve(out);
+      };
+      const timer = setTimeout(end, Math.max(0, timeoutMs));
+      const now = Date.now();
+      try {
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        for (const k of rest) {
+          const req = store.get(k);
+          req.onsuccess = () => {
+            const rec = req.result;
+            if (rec && !done) {
+              if (isExpired(rec, now)) this.delete(k);
+              else out.set(k, rec);
+            }
+            if (--left === 0) end();
+          };
+          req.onerror = () => { if (--left === 0) end(); };
+        }
+      } catch {
+        end();
+      }
+    });
+  }
+
+  put(key, value, exp = 0) {
+    this._queue(key, { k: key, v: value, exp: Number(exp) || 0, at: Date.now(), bytes: entryBytes(key, value) });
+  }
+
+  // Refresh the access time of a record returned by getMany (rate-limited per record)
+  touch(rec) {
+    if (!rec || Date.now() - (rec.at || 0) < TOUCH_INTERVAL_MS || this.pending.has(rec.k)) return;
+    this._queue(rec.k, { ...rec, at: Date.now() });
+  }
+
+  delete(key) {
+    this._queue(key, null);
+  }
+
+  async clear() {
+    this.pending.clear();
+    const db = await this._db();
+    if (!db) return;
+    try {
+      const tx = db.transaction([STORE, META], 'readwrite');
+      tx.objectStore(STORE).clear();
+      tx.objectStore(META).put({ id: STATS_ID, bytes: 0, count: 0 });
+      await txDone(tx);
+      this.bytes = 0;
+      this.count = 0;
+    } catch {}
+  }
+
+  /**
+   * Delete every record for which predicate(key, value) is true (one cursor pass).
+   * @returns {Promise<number>} records removed
+   */
+  async purge(predicate) {
+    for (const [k, rec] of Array.from(this.pending.entries())) {
+      if (rec && predicate(k, rec.v)) this.pending.set(k, null);
+    }
+    await this.flush();
+    const db = await this._db();
+    if (!db) return 0;
+    let removed = 0;
+    try {
+      const tx = db.transaction([STORE, META], 'readwrite');
+      const store = tx.objectStore(STORE);
+      const meta = tx.objectStore(META);
+      let bytes = this.bytes;
+      let count = this.count;
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) {
+          meta.put({ id: STATS_ID, bytes: Math.max(0, bytes), count: Math.max(0, count) });
+          return;
+        }
+        let drop = false;
+        try { drop = !!predicate(cursor.value.k, cursor.value.v); } catch {}
+        if (drop) {
+          bytes -= cursor.value.bytes || 0;
+          count -= 1;
+          removed += 1;
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+      await txDone(tx);
+      this.bytes = Math.max(0, bytes);
+      this.count = Math.max(0, count);
+    } catch (e) {
+      console.warn('[Edge AI Translator] cache purge failed:', e?.message || e);
+    }
+    return removed;
+  }
+
+  /**
+   * All live records (buffered writes included), least recently used first.
+   * @returns {Promise<{k:string, v:any, exp:number, at:number}[]>}
+   */
+  async entries() {
+    const byKey = new Map();
+    const db = await this._db();
+    const now = Date.now();
+    if (db) {
+      try {
+        const tx = db.transaction(STORE, 'readonly');
+        const req = tx.objectStore(STORE).index('at').getAll();
+        await txDone(tx);
+        for (const rec of req.result || []) if (!isExpired(rec, now)) byKey.set(rec.k, rec);
+      } catch {}
+    }
+    for (const [k, rec] of this.pending) {
+      byKey.delete(k);
+      if (rec && !isExpired(rec, now)) byKey.set(k, rec);
+    }
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Access time of the least recently used record (0 if empty).
+   */
+  async oldestAt() {
+    const db = await this._db();
+    if (!db) return 0;
+    try {
+      const tx = db.transaction(STORE, 'readonly');
+      const req = tx.objectStore(STORE).index('at').openCursor();
+      let at = 0;
+      req.onsuccess = () => { at = req.result?.value?.at || 0; };
+      await txDone(tx);
+      return at;
+    } catch {
+      return 0;
+    }
+  }
+
+  _queue(key, rec) {
+    this.pending.set(key, rec);
+    if (this.pending.size >= FLUSH_MAX_PENDING) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Write buffered changes in one transaction, then evict if over budget.
+   */
+  async flush() {
+    if (this.flushTimer) { clearTimeout(this.flushTimer); this.flushTimer = null; }
+    // one flush at a time; changes queued meanwhile go into the next one
+    while (this.flushing) await this.flushing;
+    if (!this.pending.size) return;
+    const batch = Array.from(this.pending.entries());
+    this.pending.clear();
+    const run = (async () => {
+      try {
+        const db = await this._db();
+        if (!db) return;
+        await this._write(db, batch);
+        if (this.bytes > this.maxBytes) await this._evict(db);
+      } catch (e) {
+        console.warn('[Edge AI Translator] cache write failed:', e?.message || e);
+      }
+    })();
+    this.flushing = run;
+    try { await run; } finally { if (this.flushing === run) this.flushing = null; }
+  }
+
+  async _write(db, batch) {
+    const tx = db.transaction([STORE, META], 'readwrite');
+    const store = tx.objectStore(STORE);
+    const meta = tx.objectStore(META);
+    let dBytes = 0;
+    let dCount = 0;
+    let left = batch.length;
+    const saveStats = () => {
+      const req = meta.get(STATS_ID);
+      req.onsuccess = () => {
+        const st = req.result || { id: STATS_ID, bytes: 0, count: 0 };
+        st.bytes = Math.max(0, st.bytes + dBytes);
+        st.count = Math.max(0, st.count + dCount);
+        meta.put(st);
+        this.bytes = st.bytes;
+        this.count = st.count;
+      };
+    };
+    for (const [k, rec] of batch) {
+      const req = store.get(k);
+      req.onsuccess = () => {
+        const old = req.result;
+        if (old) { dBytes -= old.bytes || 0; dCount -= 1; }
+        if (rec) { store.put(rec); dBytes += rec.bytes; dCount += 1; }
+        else if (old) store.delete(k);
+        if (--left === 0) saveStats();
+      };
+    }
+    await txDone(tx);
+  }
+
+  // Drop expired records, then least recently used ones until under EVICT_TARGET_RATIO * maxBytes
+  async _evict(db) {
+    const tx = db.transaction([STORE, META], 'readwrite');
+    const store = tx.objectStore(STORE);
+    const meta = tx.objectStore(META);
+    const target = this.maxBytes * EVICT_TARGET_RATIO;
+    let bytes = this.bytes;
+    let count = this.count;
+    const drop = (cursor) => {
+      bytes -= cursor.value.bytes || 0;
+      count -= 1;
+      cursor.delete();
+    };
+    const byAge = () => {
+      const req = store.index('at').openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor && bytes > target) {
+          drop(cursor);
+          cursor.continue();
+        } else {
+          meta.put({ id: STATS_ID, bytes: Math.max(0, bytes), count: Math.max(0, count) });
+        }
+      };
+    };
+    const expired = store.index('exp').openCursor(IDBKeyRange.bound(1, Date.now()));
+    expired.onsuccess = () => {
+      const cursor = expired.result;
+      if (cursor) {
+        drop(cursor);
+        cursor.continue();
+      } else {
+        byAge();
+      }
+    };
+    await txDone(tx);
+    this.bytes = Math.max(0, bytes);
+    this.count = Math.max(0, count);
+  }
+
+  updateOptions({ maxBytes } = {}) {
+    if (typeof maxBytes === 'number' && maxBytes > 0) this.maxBytes = Math.max(64 * 1024, Math.floor(maxBytes));
+  }
+
+  stats() {
+    return { bytes: this.bytes, count: this.count, maxBytes: this.maxBytes, pending: this.pending.size };
+  }
+}
+
+export class TieredCache {
+  /**
+   * @param {Object} opts - LRUCache options plus:
+   * @param {boolean} [opts.persistent=true] - use the IndexedDB tier
+   * @param {number} [opts.maxBytes] - IndexedDB size budget in bytes
+   * @param {number} [opts.maxLookup=300] - max IndexedDB lookups per getMany call
+   * @param {number} [opts.lookupTimeoutMs=150] - time budget for those lookups (once the database is open)
+   */
+  constructor(opts = {}) {
+    const { persistent = true, maxLookup = 300, lookupTimeoutMs = 150 } = opts || {};
+    this.memory = new LRUCache(opts);
+    this.store = new PersistentStore(opts);
+    this.persistent = persistent !== false;
+    this.maxLookup = Math.max(0, Number(maxLookup) || 0);
+    this.lookupTimeoutMs = Math.max(0, Number(lookupTimeoutMs) || 0);
+    this.persistentHits = 0; // memory misses answered by IndexedDB
+    if (this.persistent && this.enabled) this.store.open();
+  }
+
+  get enabled() {
+    return this.memory.enabled;
+  }
+
+  // Memory tier only (synchronous)
+  get(key) {
+    return this.memory.get(key);
+  }
+
+  /**
+   * Look up many keys: memory first, then (bounded) IndexedDB; persistent hits are promoted to memory.
+   * @param {string[]} keys
+   * @returns {Promise<Map<string, any>>} hits only
+   */
+  async getMany(keys) {
+    const out = new Map();
+    if (!this.enabled) return out;
+    const misses = [];
+    for (const k of keys) {
+      const v = this.memory.get(k);
+      if (v !== undefined) out.set(k, v);
+      else misses.push(k);
+    }
+    if (!this.persistent || !misses.length || !this.maxLookup) return out;
+    const found = await this.store.getMany(Array.from(new Set(misses)).slice(0, this.maxLookup), this.lookupTimeoutMs);
+    const now = Date.now();
+    for (const [k, rec] of found) {
+      out.set(k, rec.v);
+      this.persistentHits++;
+      // keep the original expiry when promoting
+      this.memory.set(k, rec.v, rec.exp > 0 ? Math.max(1, rec.exp - now) : 0);
+      this.store.touch(rec);
+    }
+    return out;
+  }
+
+  /**
+   * Set in both tiers with optional per-entry TTL (ms); 0/<=0 TTL means no expiration.
+   */
+  set(key, value, ttlMs) {
+    if (!this.enabled) return;
+    this.memory.set(key, value, ttlMs);
+    if (!this.persistent) return;
+    const ttl = Number(ttlMs ?? this.memory.ttlMs) || 0;
+    this.store.put(key, value, ttl > 0 ? Date.now() + ttl : 0);
+  }
+
+  delete(key) {
+    this.memory.delete(key);
+    if (this.persistent) this.store.delete(key);
+  }
+
+  async clear() {
+    this.memory.clear();
+    this.memory.resetStats();
+    this.persistentHits = 0;
+    await this.store.clear();
+  }
+
+  /**
+   * Live entries of both tiers (memory wins for the same key), least recently used first.
+   * @returns {Promise<{k:string, v:any, exp:number, at:number}[]>}
+   */
+  async entries() {
+    const byKey = new Map();
+    if (this.persistent) for (const rec of await this.store.entries()) byKey.set(rec.k, rec);
+    for (const e of this.memory.entries()) {
+      const rec = byKey.get(e.k);
+      // memory `at` is the write time; keep the later of the two
+      byKey.set(e.k, { ...e, at: Math.max(e.at, rec?.at || 0) });
+    }
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Write entries exported by entries(): expired ones are skipped, the rest keep their expiry.
+   * @param {{k:string, v:any, exp?:number}[]} list
+   * @returns {number} entries written
+   */
+  importEntries(list) {
+    if (!this.enabled || !Array.isArray(list)) return 0;
+    const now = Date.now();
+    let n = 0;
+    for (const e of list) {
+      const exp = Number(e?.exp) || 0;
+      if (typeof e?.k !== 'string' || e.v === undefined || (exp > 0 && exp <= now)) continue;
+      this.set(e.k, e.v, exp > 0 ? exp - now : 0);
+      n++;
+    }
+    return n;
+  }
+
+  /**
+   * Counters and occupancy of both tiers. hitRate counts persistent hits of memory misses as hits.
+   */
+  async stats() {
+    const mem = this.memory.stats();
+    const hits = mem.hits + this.persistentHits;
+    const lookups = mem.hits + mem.misses;
+    const out = {
+      enabled: mem.enabled,
+      persistent: this.persistent,
+      hits,
+      misses: lookups - hits,
+      hitRate: lookups ? hits / lookups : 0,
+      memory: { count: mem.count, size: mem.size, hits: mem.hits },
+      count: mem.count,
+      bytes: 0,
+      maxBytes: this.store.maxBytes,
+      oldestAt: mem.oldestAt
+    };
+    if (this.persistent) {
+      await this.store.flush();
+      const st = this.store.stats();
+      const oldest = await this.store.oldestAt();
+      out.count = Math.max(mem.count, st.count);
+      out.bytes = st.bytes;
+      if (oldest && (!out.oldestAt || oldest < out.oldestAt)) out.oldestAt = oldest;
+      out.persistentHits = this.persistentHits;
+    }
+    return out;
+  }
+
+  /**
+   * Delete entries matching predicate(key, value) from both tiers.
+   * @returns {Promise<{memory:number, persistent:number}>} entries removed per tier
+   */
+  async purge(predicate) {
+    const memory = this.memory.purge(predicate);
+    const persistent = await this.store.purge(predicate);
+    return { memory, persistent };
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+
+  /**
+   * Update runtime options: LRUCache options plus persistent / maxBytes / maxLookup / lookupTimeoutMs.
+   */
+  updateOptions(opts = {}) {
+    this.memory.updateOptions(opts);
+    this.store.updateOptions(opts);
+    if (typeof opts.persistent === 'boolean') this.persistent = opts.persistent;
+    if (typeof opts.maxLookup === 'number' && opts.maxLookup >= 0) this.maxLookup = Math.floor(opts.maxLookup);
+    if (typeof opts.lookupTimeoutMs === 'number' && opts.lookupTimeoutMs >= 0) this.lookupTimeoutMs = Math.floor(opts.lookupTimeoutMs);
+  }
+}
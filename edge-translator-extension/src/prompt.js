@@ -1,4 +1,4 @@
-export function composePrompt({ sourceLang = 'auto', targetLang = 'zh-CN', workflow = {}, batch = false } = {}) {
+export function composePrompt({ sourceLang = 'auto', targetLang = 'zh-CN', workflow = {}, batch = false, references = [] } = {}) {
   const {
     promptTemplate,
     style = '简洁准确，保留格式与占位符',
@@ -9,6 +9,7 @@ export function composePrompt({ sourceLang = 'auto', targetLang = 'zh-CN', workf
   } = workflow || {};
 
   const glossaryText = Array.isArray(glossary) && glossary.length ? formatGlossary(glossary) : '';
+  const referencesText = formatReferences(references);
   const protectText = protectPlaceholders
     ? '严格保持占位符与标记不变，例如：{{...}}、{0}、%s、:variable、&nbsp;、HTML/XML 标签（如 <b>...</b>）、Markdown 语法与链接、内联公式或代码片段。'
     : '';
@@ -27,6 +28,7 @@ export function composePrompt({ sourceLang = 'auto', targetLang = 'zh-CN', workf
       .replace(/\{\{\s*style\s*\}\}/g, style)
       .replace(/\{\{\s*tone\s*\}\}/g, tone)
       .replace(/\{\{\s*glossary\s*\}\}/g, glossaryText)
+      .replace(/\{\{\s*references\s*\}\}/g, referencesText)
       .replace(/\{\{\s*protectPlaceholders\s*\}\}/g, protectPlaceholders ? 'true' : 'false')
       .replace(/\{\{\s*jsonConstraint\s*\}\}/g, jsonConstraint);
   }
@@ -36,6 +38,7 @@ export function composePrompt({ sourceLang = 'auto', targetLang = 'zh-CN', workf
     `你是专业的翻译引擎。将文本从 ${sourceLang} 翻译为 ${targetLang}。`,
     `要求：${style}，语气：${tone}。`,
     glossaryText ? `术语表（严格遵守）：\n${glossaryText}` : '',
+    referencesText ? `参考译文（翻译记忆中已审核的相似句，沿用其术语与措辞，但须按当前原文翻译）：\n${referencesText}` : '',
     protectText,
     jsonConstraint,
     '保留原有的换行、空白、标点与内联结构。'
@@ -138,4 +141,57 @@ export function formatGlossary(glossary = []) {
     lines.push(`- ${src} → ${dst}`);
   }
   return lines.join('\n');
+}
+/**
+ * 将翻译记忆的相似句格式化为参考译文
+ * references: [{ src: 'Save the file', tgt: '保存文件' }]
+ */
+export function formatReferences(references = []) {
+  if (!Array.isArray(references) || !references.length) return '';
+  const lines = [];
+  for (const r of references) {
+    const src = String(r?.src ?? '').trim();
+    const tgt = String(r?.tgt ?? '').trim();
+    if (!src || !tgt) continue;
+    lines.push(`- ${src} → ${tgt}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 按配置注入随机噪声（降低模式识别）：
+ * - batch 模式为保证 JSON 解析稳定，只注入 system
+ * - 单条模式 position='user_suffix' 时追加到用户文本尾部，否则注入 system
+ * @returns {{ system: string, userText: string }}
+ */
+export function injectNoise(system, userText, noiseCfg = {}, { batch = false } = {}) {
+  const raw = noiseCfg || {};
+  if (!raw.enabled) return { system, userText };
+
+  const position = String(raw.position || 'system');
+  let probability = Number(raw.probability);
+  if (!Number.isFinite(probability)) probability = 0.6;
+  probability = Math.min(Math.max(probability, 0), 1);
+  const minWords = Math.max(0, Math.round(Number(raw.minWords ?? 3)));
+  let maxWords = Math.max(minWords, Math.round(Number(raw.maxWords ?? 8)));
+  if (maxWords > 100) maxWords = 100;
+  const template = String(raw.template || '--- NOISE --- {{noise}}');
+  const dict = Array.isArray(raw.dictionary) ? raw.dictionary.filter(x => typeof x === 'string' && x.trim()).map(x => x.trim()) : [];
+
+  const guide = "注意：以下以 '--- NOISE ---' 开头的行是随机噪声，请忽略。";
+  function rnd() { try { const u = new Uint32Array(1); crypto.getRandomValues(u); return u[0] / 0xFFFFFFFF; } catch { return Math.random(); } }
+  function randi(a, b) { const lo = Math.ceil(a), hi = Math.floor(b); return Math.floor(rnd() * (hi - lo + 1)) + lo; }
+  function randomToken() { try { const u = new Uint8Array(6); crypto.getRandomValues(u); return Array.from(u).map(v => (v & 0x0f).toString(16)).join(''); } catch { return Math.random().toString(36).slice(2, 8); } }
+  function buildNoiseBlock() {
+    const cnt = randi(minWords, maxWords);
+    const arr = [];
+    for (let i = 0; i < cnt; i++) arr.push(dict.length ? dict[randi(0, dict.length - 1)] : randomToken());
+    return template.replace(/\{\{\s*noise\s*\}\}/g, arr.join(' '));
+  }
+
+  if (rnd() > probability) return { system, userText };
+  if (!batch && position === 'user_suffix') {
+    return { system: system + '\n\n' + guide, userText: userText + '\n\n' + buildNoiseBlock() };
+  }
+  return { system: system + '\n\n' + guide + '\n' + buildNoiseBlock(), userText };
 }
\ No newline at end of file
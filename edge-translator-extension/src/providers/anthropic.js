@@ -0,0 +1,72 @@
+// Edge AI Translator - "anthropic" provider adapter (Messages API)
+// Same prompt/batching contract as openai-compatible; differs in auth headers, top-level system and content[] blocks.
+
+import { buildHeaders, requireApiKey, getApiKey, getEndpoint, getModel, composeChatPrompt, parseChatOutput } from './common.js';
+
+const DEFAULT_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+function authHeaders(config) {
+  return {
+    'x-api-key': getApiKey(config),
+    'anthropic-version': API_VERSION,
+    // 扩展页面/Service Worker 直连需要显式声明（否则 CORS 拒绝）
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+// .../v1/messages -> .../v1/models
+function modelsUrl(endpoint) {
+  return endpoint.replace(/\/messages\/?$/, '') + '/models';
+}
+
+export default {
+  id: 'anthropic',
+  label: 'anthropic（Messages API）',
+  defaults: { endpoint: DEFAULT_ENDPOINT, model: DEFAULT_MODEL },
+  capabilities: { batch: 'prompt', listModels: true, references: true },
+  errorPrefix: 'Anthropic HTTP',
+
+  validate(config) {
+    requireApiKey(config, 'anthropic');
+  },
+
+  buildRequest(req) {
+    const { config } = req;
+    const { system, userText } = composeChatPrompt(req);
+    const maxTokens = Number(config?.provider?.maxTokens);
+    return {
+      url: getEndpoint(config, DEFAULT_ENDPOINT),
+      method: 'POST',
+      headers: buildHeaders(config, authHeaders(config)),
+      body: {
+        model: getModel(config, DEFAULT_MODEL),
+        max_tokens: maxTokens > 0 ? Math.floor(maxTokens) : DEFAULT_MAX_TOKENS,
+        temperature: 0,
+        system,
+        messages: [{ role: 'user', content: userText }]
+      }
+    };
+  },
+
+  parseResponse(data, ctx) {
+    const blocks = Array.isArray(data?.content) ? data.content : [];
+    const text = blocks.filter((b) => b?.type === 'text').map((b) => b.text || '').join('');
+    return parseChatOutput(text, ctx);
+  },
+
+  buildModelsRequest(config) {
+    return {
+      url: modelsUrl(getEndpoint(config, DEFAULT_ENDPOINT)),
+      method: 'GET',
+      headers: buildHeaders(config, authHeaders(config))
+    };
+  },
+
+  parseModels(data) {
+    const list = Array.isArray(data?.data) ? data.data : [];
+    return list.map((m) => String(m?.id ?? '')).filter(Boolean);
+  }
+};
@@ -0,0 +1,206 @@
+// Edge AI Translator - Provider auth strategies
+// config.provider.auth.scheme:
+//   'default' 由适配器自带（Bearer、DeepL-Auth-Key、Ocp-Apim-Subscription-Key …）
+//   'none'    不发送凭据
+//   'bearer'  authorization: Bearer <apiKey>
+//   'header'  <headerName>: <headerPrefix><apiKey>
+//   'query'   ?<queryParam>=<apiKey>
+//   'hmac'    逐次请求签名（百度 / 有道 / 腾讯 TC3 / 火山 / 内部网关），见 signHmac
+// signRequest runs once per attempt (inside the scheduler's retry loop) so every retry gets a fresh timestamp/salt.
+
+import { getApiKey, isPlainObject } from './common.js';
+
+export const AUTH_SCHEMES = ['default', 'none', 'bearer', 'header', 'query', 'hmac'];
+
+export function authConfigOf(config) {
+  const a = config?.provider?.auth;
+  return isPlainObject(a) ? a : {};
+}
+
+export function authScheme(config) {
+  const s = String(authConfigOf(config).scheme || 'default').trim().toLowerCase();
+  return AUTH_SCHEMES.includes(s) ? s : 'default';
+}
+
+/**
+ * Apply the configured auth scheme to a built request.
+ * @param {{url:string, method?:string, headers?:Object, body?:string}} req - body already serialized
+ * @param {Object} config
+ * @param {{texts?:string[]}} [extra]
+ * @returns {Promise<{url:string, method?:string, headers:Object, body?:string}>}
+ */
+export async function signRequest(req, config, extra = {}) {
+  const scheme = authScheme(config);
+  const auth = authConfigOf(config);
+  const apiKey = getApiKey(config);
+  const headers = { ...(req.headers || {}) };
+  if (scheme === 'default' || scheme === 'none') return { ...req, headers };
+  if (scheme === 'bearer') {
+    if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+    return { ...req, headers };
+  }
+  if (scheme === 'header') {
+    const name = String(auth.headerName || 'x-api-key').trim();
+    if (apiKey && name) headers[name] = `${auth.headerPrefix || ''}${apiKey}`;
+    return { ...req, headers };
+  }
+  if (scheme === 'query') {
+    const url = new URL(req.url);
+    if (apiKey) url.searchParams.set(String(auth.queryParam || 'key').trim() || 'key', apiKey);
+    return { ...req, headers, url: url.toString() };
+  }
+  return signHmac({ ...req, headers }, auth, apiKey, extra);
+}
+
+// ---------- HMAC / digest signing ----------
+// auth.hmac = {
+//   algorithm: 'hmac-sha256' | 'hmac-sha1' | 'sha256' | 'md5',  // sha256/md5：对待签名串做摘要（密钥需写进模板）
+//   encoding: 'hex' | 'base64',
+//   derive: ['TC3{{secret}}', '{{date}}', 'tmt', 'tc3_request'], // 可选：首项为初始密钥，其余依次 HMAC 派生
+//   canonical: '…',                 // 可选：规范请求模板，摘要作为 {{canonicalSha256}}
+//   stringToSign: '{{appId}}{{q}}{{salt}}{{secret}}',
+//   timestampUnit: 's' | 'ms',
+//   headers: { 'X-TC-Timestamp': '{{timestamp}}', authorization: '… Signature={{signature}}' },
+//   query: { appid: '{{appId}}', salt: '{{salt}}', sign: '{{signature}}' }
+// }
+// Variables: appId secret apiKey salt nonce timestamp date isoTime method host path query body bodySha256 bodyMd5
+//            q qTruncated canonicalSha256 signature
+
+const VAR_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function render(tpl, vars) {
+  return String(tpl ?? '').replace(VAR_RE, (m, name) => (name in vars ? String(vars[name] ?? '') : m));
+}
+
+function randomHex(bytes) {
+  const a = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(a, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// 有道 v3：长度 > 20 时取前 10 + 长度 + 后 10
+function truncateForSign(q) {
+  const chars = Array.from(q);
+  return chars.length <= 20 ? q : chars.slice(0, 10).join('') + chars.length + chars.slice(-10).join('');
+}
+
+function canonicalQuery(url) {
+  const pairs = Array.from(url.searchParams.entries()).sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)));
+  return pairs.map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).join('&');
+}
+
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+async function signHmac(req, auth, apiKey, extra) {
+  const h = isPlainObject(auth.hmac) ? auth.hmac : {};
+  const algorithm = String(h.algorithm || 'hmac-sha256').toLowerCase();
+  const encoding = h.encoding === 'base64' ? 'base64' : 'hex';
+  const now = new Date();
+  const url = new URL(req.url);
+  const body = typeof req.body === 'string' ? req.body : '';
+  const q = (extra.texts || []).join('\n');
+  const vars = {
+    appId: String(auth.appId || ''),
+    secret: String(auth.secret || apiKey || ''),
+    apiKey,
+    salt: String(Math.floor(Math.random() * 1e10)),
+    nonce: randomHex(16),
+    timestamp: h.timestampUnit === 'ms' ? String(now.getTime()) : String(Math.floor(now.getTime() / 1000)),
+    date: now.toISOString().slice(0, 10),
+    isoTime: now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+    method: String(req.method || 'POST').toUpperCase(),
+    host: url.host,
+    path: url.pathname || '/',
+    query: canonicalQuery(url),
+    body,
+    bodySha256: toHex(await digest('SHA-256', body)),
+    bodyMd5: md5Hex(body),
+    q,
+    qTruncated: truncateForSign(q)
+  };
+  if (h.canonical) vars.canonicalSha256 = toHex(await digest('SHA-256', render(h.canonical, vars)));
+
+  const message = render(h.stringToSign ?? '', vars);
+  let sig;
+  if (algorithm === 'md5') sig = md5Bytes(message);
+  else if (algorithm === 'sha256') sig = await digest('SHA-256', message);
+  else {
+    const hash = algorithm === 'hmac-sha1' ? 'SHA-1' : 'SHA-256';
+    const chain = Array.isArray(h.derive) && h.derive.length ? h.derive.map((s) => render(s, vars)) : [vars.secret];
+    let key = utf8(chain[0]);
+    for (const step of chain.slice(1)) key = await hmac(hash, key, utf8(step));
+    sig = await hmac(hash, key, utf8(message));
+  }
+  vars.signature = encoding === 'base64' ? toBase64(sig) : toHex(sig);
+
+  const headers = { ...req.headers };
+  for (const [k, v] of Object.entries(isPlainObject(h.headers) ? h.headers : {})) headers[k] = render(v, vars);
+  for (const [k, v] of Object.entries(isPlainObject(h.query) ? h.query : {})) url.searchParams.set(k, render(v, vars));
+  return { ...req, headers, url: url.toString() };
+}
+
+// ---------- Byte helpers ----------
+
+function utf8(s) {
+  return new TextEncoder().encode(String(s ?? ''));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+async function digest(hash, text) {
+  return new Uint8Array(await crypto.subtle.digest(hash, utf8(text)));
+}
+
+async function hmac(hash, keyBytes, dataBytes) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, dataBytes));
+}
+
+// WebCrypto has no MD5; compact RFC 1321 implementation (百度翻译、部分内部网关仍在使用)
+const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+function md5Bytes(text) {
+  const msg = utf8(text);
+  const len = ((msg.length + 8) >>> 6) + 1;
+  const words = new Uint32Array(len * 16);
+  for (let i = 0; i < msg.length; i++) words[i >> 2] |= msg[i] << ((i % 4) * 8);
+  words[msg.length >> 2] |= 0x80 << ((msg.length % 4) * 8);
+  words[len * 16 - 2] = (msg.length * 8) >>> 0;
+  words[len * 16 - 1] = Math.floor(msg.length / 0x20000000);
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  for (let off = 0; off < words.length; off += 16) {
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) { f = (b & c) | (~b & d); g = i; }
+      else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+      else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+      else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+      const s = MD5_S[(i >> 4) * 4 + (i % 4)];
+      const tmp = d;
+      d = c;
+      c = b;
+      const x = (a + f + MD5_K[i] + words[off + g]) >>> 0;
+      b = (b + ((x << s) | (x >>> (32 - s)))) >>> 0;
+      a = tmp;
+    }
+    a0 = (a0 + a) >>> 0; b0 = (b0 + b) >>> 0; c0 = (c0 + c) >>> 0; d0 = (d0 + d) >>> 0;
+  }
+  const out = new Uint8Array(16);
+  [a0, b0, c0, d0].forEach((w, i) => { for (let j = 0; j < 4; j++) out[i * 4 + j] = (w >>> (j * 8)) & 0xff; });
+  return out;
+}
+
+function md5Hex(text) {
+  return toHex(md5Bytes(text));
+}
@@ -0,0 +1,61 @@
+// Edge AI Translator - "azure" provider adapter (Azure AI Translator v3.0)
+// Body is [{ Text }] (native batching); the resource region goes in Ocp-Apim-Subscription-Region.
+
+import { buildHeaders, requireApiKey, getApiKey, getEndpoint, hasPlaceholders, toMarkup, fromMarkup, splitLang, expectOutputs } from './common.js';
+
+const DEFAULT_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+
+// Azure 中文为 zh-Hans / zh-Hant，其余多为基础语言码（pt-PT、fr-CA 等保留地区）
+function langCode(code) {
+  const l = splitLang(code);
+  if (!l) return '';
+  if (l.base === 'zh') return ['TW', 'HK', 'MO', 'HANT'].includes(l.region) ? 'zh-Hant' : 'zh-Hans';
+  if (['PT', 'CA'].includes(l.region) && ['pt', 'fr'].includes(l.base)) return `${l.base}-${l.region}`;
+  return l.base;
+}
+
+function authHeaders(config) {
+  const headers = { 'Ocp-Apim-Subscription-Key': getApiKey(config) };
+  const region = String(config?.provider?.azure?.region || '').trim();
+  if (region) headers['Ocp-Apim-Subscription-Region'] = region;
+  return headers;
+}
+
+function translateUrl(config, { from, to, markup }) {
+  const endpoint = getEndpoint(config, DEFAULT_ENDPOINT).replace(/\/+$/, '');
+  const url = new URL(/\/translate$/.test(endpoint) ? endpoint : `${endpoint}/translate`);
+  url.searchParams.set('api-version', '3.0');
+  url.searchParams.set('to', to);
+  if (from) url.searchParams.set('from', from);
+  if (markup) url.searchParams.set('textType', 'html');
+  return url.toString();
+}
+
+export default {
+  id: 'azure',
+  label: 'azure（Azure AI Translator）',
+  defaults: { endpoint: DEFAULT_ENDPOINT, model: '' },
+  capabilities: { batch: 'native', listModels: false, maxItems: 1000, maxChars: 50000 },
+  errorPrefix: 'Azure HTTP',
+
+  validate(config) {
+    requireApiKey(config, 'azure');
+  },
+
+  buildRequest({ texts, config, sourceLang, targetLang }) {
+    const markup = hasPlaceholders(texts);
+    return {
+      url: translateUrl(config, { from: langCode(sourceLang), to: langCode(targetLang) || 'en', markup }),
+      method: 'POST',
+      headers: buildHeaders(config, authHeaders(config)),
+      body: texts.map((t) => ({ Text: markup ? toMarkup(t) : t })),
+      markup
+    };
+  },
+
+  parseResponse(data, { texts, request }) {
+    const list = Array.isArray(data) ? data.map((d) => d?.translations?.[0]?.text) : null;
+    const outs = expectOutputs(list, texts, 'Azure');
+    return request?.markup ? outs.map(fromMarkup) : outs;
+  }
+};
@@ -0,0 +1,195 @@
+// Edge AI Translator - Provider adapter helpers (ES module)
+// Shared by all adapters: header building, HTTP error shaping, error classification, lenient JSON parsing,
+// plus the prompt/answer handling common to chat-style LLM providers.
+
+import { composePrompt, injectNoise } from '../prompt.js';
+import { parseRateLimitHeaders } from '../scheduler.js';
+
+/**
+ * Provider adapter interface（每个 Provider 一个模块，在 ./index.js 注册）:
+ * {
+ *   id: 'custom',                        // provider.type
+ *   label: 'Custom API',                 // UI 显示名
+ *   defaults: { endpoint, model },       // 未配置时使用
+ *   capabilities: {
+ *     batch: 'native' | 'prompt' | 'none', // native: 引擎原生批量接口（按 maxItems/maxChars 分片）；prompt: 按预算切分的 JSON 数组批处理（失败逐条回退）；none: 逐条
+ *     listModels: boolean,
+ *     maxItems?, maxChars?               // native 模式单次请求上限（引擎限制）
+ *     references?: boolean               // 翻译记忆参考译文会影响译文（LLM）；否则 buildRequest 收到空的 references
+ *   },
+ *   capabilitiesFor?(config) -> capabilities   // 能力取决于配置时（如 templated）覆盖 capabilities
+ *   errorPrefix: 'HTTP',                 // HTTP 错误消息前缀
+ *   offline?(texts, config) -> string[] | null   // 无需请求即可给出的结果（如演示模式）
+ *   validate?(config)                    // 配置不完整时抛错
+ *   buildRequest({ texts, batch, config, sourceLang, targetLang, glossaryId, references }) -> { url, method, headers, body }
+ *                                        // references: [{ src, tgt, score }] 翻译记忆的相似句（LLM 作为参考译文，MT 引擎忽略）
+ *   parseResponse(data, { texts, batch, request, config }) -> string[]   // 抛错视为可重试的坏响应；request 为 buildRequest 的返回值
+ *   classifyError?(err) -> 'abort' | 'auth' | 'rate_limit' | 'server' | 'client' | 'network' | 'unknown'
+ *   buildModelsRequest?(config) -> { url, method, headers }
+ *   parseModels?(data) -> string[]
+ *   buildContextRequest?(config) -> { url, method, headers, body }   // 查询模型上下文大小（用于收紧批处理预算）
+ *   parseContextLength?(data, config) -> number                      // tokens，0 表示未知
+ *   buildGlossaryRequest?({ config, sourceLang, targetLang, entries }) -> request | null   // 在 Provider 侧创建术语表
+ *   parseGlossary?(data) -> string                                   // 术语表 id，随后作为 glossaryId 传给 buildRequest
+ * }
+ */
+
+export function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Rotation keys (provider.apiKeys) when configured, otherwise the single apiKey; trimmed and de-duplicated
+export function getApiKeys(config) {
+  const list = Array.isArray(config?.provider?.apiKeys) ? config.provider.apiKeys : [];
+  const keys = Array.from(new Set(list.map((k) => String(k ?? '').trim()).filter(Boolean)));
+  if (keys.length) return keys;
+  const single = String(config?.provider?.apiKey || '').trim();
+  return single ? [single] : [];
+}
+
+// First key; with rotation, background.js narrows the config to the key chosen for each attempt
+export function getApiKey(config) {
+  return getApiKeys(config)[0] || '';
+}
+
+export function getEndpoint(config, fallback = '') {
+  return (config?.provider?.endpoint || fallback).trim();
+}
+
+export function getModel(config, fallback = '') {
+  return (config?.provider?.model || fallback).trim();
+}
+
+// Adapter's built-in auth applies unless provider.auth.scheme selects another strategy (./auth.js)
+export function usesAdapterAuth(config) {
+  const scheme = String(config?.provider?.auth?.scheme || 'default').trim().toLowerCase();
+  return scheme === 'default';
+}
+
+export function requireApiKey(config, id) {
+  if (usesAdapterAuth(config) && !getApiKey(config)) throw new Error(`${id} provider requires apiKey`);
+}
+
+// JSON content type, then user headers, then auth headers (auth wins, as before)
+export function buildHeaders(config, auth = {}) {
+  const extra = isPlainObject(config?.provider?.headers) ? config.provider.headers : {};
+  return { 'content-type': 'application/json', ...extra, ...(usesAdapterAuth(config) ? auth : {}) };
+}
+
+export function bearerAuth(config) {
+  const apiKey = getApiKey(config);
+  return apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+}
+
+export async function safeReadText(res) {
+  try { return await res.text(); } catch { return ''; }
+}
+
+export async function safeReadJson(res) {
+  try { return await res.json(); } catch { return {}; }
+}
+
+// Error for a non-2xx response; carries status for retry decisions and classification, plus the
+// rate-limit headers (Retry-After, x-ratelimit-*) so retries wait as long as the server asks.
+export async function httpError(res, prefix = 'HTTP') {
+  const text = await safeReadText(res);
+  const err = new Error(`${prefix} ${res.status}: ${text.slice(0, 200)}`);
+  err.status = res.status;
+  const rateLimit = parseRateLimitHeaders(res.headers);
+  if (rateLimit) {
+    err.rateLimit = rateLimit;
+    err.headers = rateLimit.headers;
+    if (rateLimit.retryAfterMs !== null) err.retryAfterMs = rateLimit.retryAfterMs;
+  }
+  return err;
+}
+
+export function classifyError(e) {
+  if (!e) return 'unknown';
+  if (e.name === 'AbortError' || e.name === 'SchedulerAbortError') return 'abort';
+  const status = typeof e.status === 'number' ? e.status : 0;
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'client';
+  if (e.name === 'TypeError') return 'network';
+  return 'unknown';
+}
+
+export function parseJsonArrayLike(s, expectedLen) {
+  try {
+    const v = JSON.parse(s);
+    if (Array.isArray(v) && (expectedLen ? v.length === expectedLen : true)) return v;
+  } catch {}
+  // Try to extract bracketed array
+  const start = s.indexOf('[');
+  const end = s.lastIndexOf(']');
+  if (start >= 0 && end > start) {
+    const cut = s.slice(start, end + 1);
+    try {
+      const v2 = JSON.parse(cut);
+      if (Array.isArray(v2) && (expectedLen ? v2.length === expectedLen : true)) return v2;
+    } catch {}
+  }
+  return null;
+}
+
+// ---------- Chat-style LLM helpers ----------
+
+// System prompt + user text for one request; batch mode sends { inputs, meta } JSON and
+// keeps it intact (noise always goes into the system prompt). references: translation memory matches.
+export function composeChatPrompt({ texts, batch, config, sourceLang, targetLang, references }) {
+  const workflow = config?.workflow || {};
+  const base = composePrompt({ sourceLang, targetLang, workflow, batch, references });
+  const user = batch ? JSON.stringify({ inputs: texts, meta: { sourceLang, targetLang } }) : String(texts[0] ?? '');
+  return injectNoise(base, user, workflow.noise, { batch });
+}
+
+// Model answer -> outputs; batch answers must be a JSON array of the same length.
+export function parseChatOutput(content, { texts, batch }) {
+  if (!batch) return [typeof content === 'string' ? content : String(content ?? '')];
+  const parsed = parseJsonArrayLike(String(content || ''), texts.length);
+  if (!parsed) throw new Error('Invalid JSON array from provider');
+  return parsed.map((x, i) => (typeof x === 'string' ? x : String(x ?? texts[i] ?? '')));
+}
+
+// ---------- Machine translation (MT) helpers ----------
+
+// 内容脚本的行内占位标签 <x1>…</x1> / <x2/>
+const PLACEHOLDER_TAG_RE = /<\s*\/?\s*x\d+\s*\/?\s*>/i;
+
+export function hasPlaceholders(texts) {
+  return texts.some((t) => PLACEHOLDER_TAG_RE.test(String(t ?? '')));
+}
+
+// Text -> HTML/XML for engines' tag-aware modes: escape everything except the placeholder tags
+export function toMarkup(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/&lt;(\/?)x(\d+)(\/?)&gt;/g, '<$1x$2$3>');
+}
+
+export function fromMarkup(text) {
+  return String(text ?? '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// 'zh-CN' -> { base: 'zh', region: 'CN' }; 'auto'/'' -> null
+export function splitLang(code) {
+  const c = String(code || '').trim();
+  if (!c || c.toLowerCase() === 'auto') return null;
+  const [base, region = ''] = c.split(/[-_]/);
+  return { base: base.toLowerCase(), region: region.toUpperCase() };
+}
+
+// Outputs of an MT response, validated against the request size
+export function expectOutputs(list, texts, label) {
+  if (!Array.isArray(list) || list.length !== texts.length) {
+    throw new Error(`Invalid ${label} response: expected ${texts.length} translations`);
+  }
+  return list.map((x, i) => (typeof x === 'string' ? x : String(x ?? texts[i] ?? '')));
+}
@@ -0,0 +1,56 @@
+// Edge AI Translator - "custom" provider adapter
+// POST { inputs: string[], sourceLang, targetLang, model, workflow } -> { outputs: string[] } or { data: [] }
+// With tm.sendToCustom the body also carries references: [{ src, tgt, score }] (translation memory matches).
+// Without an endpoint the adapter runs in demo mode and echoes inputs with a [demo] marker.
+
+import { buildHeaders, bearerAuth, getEndpoint, getModel, isPlainObject } from './common.js';
+
+export default {
+  id: 'custom',
+  label: 'custom（自定义 API）',
+  defaults: { endpoint: '', model: '' },
+  capabilities: { batch: 'native', listModels: false },
+  errorPrefix: 'Provider HTTP',
+
+  // references are opt-in: existing endpoints may reject unknown body fields
+  capabilitiesFor(config) {
+    return { batch: 'native', listModels: false, references: config?.tm?.sendToCustom === true };
+  },
+
+  offline(texts, config) {
+    // Demo mode (no endpoint configured): echo back with marker to verify wiring.
+    if (getEndpoint(config)) return null;
+    return texts.map((t) => `[demo] ${t}`);
+  },
+
+  buildRequest({ texts, config, sourceLang, targetLang, references }) {
+    const model = getModel(config);
+    return {
+      url: getEndpoint(config),
+      method: 'POST',
+      headers: buildHeaders(config, bearerAuth(config)),
+      body: {
+        inputs: texts,
+        sourceLang,
+        targetLang,
+        model: model || undefined,
+        workflow: Array.isArray(config?.workflow?.steps) ? config.workflow.steps : ['translate'],
+        references: Array.isArray(references) && references.length ? references : undefined
+      }
+    };
+  },
+
+  parseResponse(data, { texts }) {
+    const raw = Array.isArray(data?.outputs)
+      ? data.outputs
+      : Array.isArray(data?.data)
+        ? data.data
+        : null;
+    if (!raw) throw new Error('Invalid provider response format; expected outputs[] or data[]');
+    return raw.map((o, i) => {
+      if (typeof o === 'string') return o;
+      if (isPlainObject(o) && typeof o.text === 'string') return o.text;
+      return String(o ?? texts[i] ?? '');
+    });
+  }
+};
@@ -0,0 +1,110 @@
+// Edge AI Translator - "deepl" provider adapter (DeepL API v2)
+// Native batching (up to 50 texts per request); workflow glossary is uploaded as a DeepL glossary.
+
+import { buildHeaders, requireApiKey, getApiKey, getEndpoint, hasPlaceholders, toMarkup, fromMarkup, splitLang, expectOutputs } from './common.js';
+
+const FREE_ENDPOINT = 'https://api-free.deepl.com/v2/translate';
+const PRO_ENDPOINT = 'https://api.deepl.com/v2/translate';
+
+// Free-plan keys end with ":fx" and must use the api-free host
+function translateUrl(config) {
+  return getEndpoint(config, getApiKey(config).endsWith(':fx') ? FREE_ENDPOINT : PRO_ENDPOINT);
+}
+
+function authHeaders(config) {
+  return { authorization: `DeepL-Auth-Key ${getApiKey(config)}` };
+}
+
+// 目标语言需区分变体：ZH-HANS / ZH-HANT、EN-US / EN-GB、PT-BR / PT-PT
+function targetCode(code) {
+  const l = splitLang(code);
+  if (!l) return 'EN-US';
+  if (l.base === 'zh') return ['TW', 'HK', 'MO', 'HANT'].includes(l.region) ? 'ZH-HANT' : 'ZH-HANS';
+  if (l.base === 'en') return l.region === 'GB' ? 'EN-GB' : 'EN-US';
+  if (l.base === 'pt') return l.region === 'PT' ? 'PT-PT' : 'PT-BR';
+  return l.base.toUpperCase();
+}
+
+// 源语言只用基础语言码；auto 时省略
+function sourceCode(code) {
+  const l = splitLang(code);
+  return l ? l.base.toUpperCase() : undefined;
+}
+
+// TSV entries: one "source<TAB>target" per line, no tabs/newlines inside terms
+function glossaryTsv(entries) {
+  const clean = (s) => String(s ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+  const seen = new Set();
+  const lines = [];
+  for (const g of entries) {
+    const src = clean(g?.src);
+    const dst = clean(g?.dst);
+    if (!src || !dst || seen.has(src)) continue;
+    seen.add(src);
+    lines.push(`${src}\t${dst}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  id: 'deepl',
+  label: 'deepl（DeepL API）',
+  defaults: { endpoint: PRO_ENDPOINT, model: '' },
+  capabilities: { batch: 'native', listModels: false, maxItems: 50, maxChars: 100000 },
+  errorPrefix: 'DeepL HTTP',
+
+  validate(config) {
+    requireApiKey(config, 'deepl');
+  },
+
+  buildRequest({ texts, config, sourceLang, targetLang, glossaryId }) {
+    const markup = hasPlaceholders(texts);
+    const source = sourceCode(sourceLang);
+    const glossary = String(config?.provider?.deepl?.glossaryId || '').trim() || glossaryId || undefined;
+    return {
+      url: translateUrl(config),
+      method: 'POST',
+      headers: buildHeaders(config, authHeaders(config)),
+      body: {
+        text: markup ? texts.map(toMarkup) : texts,
+        target_lang: targetCode(targetLang),
+        source_lang: source,
+        // 术语表要求显式源语言
+        glossary_id: source ? glossary : undefined,
+        tag_handling: markup ? 'xml' : undefined,
+        preserve_formatting: true
+      },
+      markup
+    };
+  },
+
+  parseResponse(data, { texts, request }) {
+    const list = Array.isArray(data?.translations) ? data.translations.map((t) => t?.text) : null;
+    const outs = expectOutputs(list, texts, 'DeepL');
+    return request?.markup ? outs.map(fromMarkup) : outs;
+  },
+
+  // Glossary pairs use base language codes (en -> zh); none for auto-detected source
+  buildGlossaryRequest({ config, sourceLang, targetLang, entries }) {
+    const src = splitLang(sourceLang);
+    const dst = splitLang(targetLang);
+    const tsv = glossaryTsv(entries || []);
+    if (!src || !dst || !tsv || String(config?.provider?.deepl?.glossaryId || '').trim()) return null;
+    return {
+      url: translateUrl(config).replace(/\/translate\/?$/, '/glossaries'),
+      method: 'POST',
+      headers: buildHeaders(config, authHeaders(config)),
+      body: {
+        name: `edge-ai-translator ${src.base}-${dst.base}`,
+        source_lang: src.base,
+        target_lang: dst.base,
+        entries: tsv,
+        entries_format: 'tsv'
+      }
+    };
+  },
+
+  parseGlossary(data) {
+    return String(data?.glossary_id || '');
+  }
+};
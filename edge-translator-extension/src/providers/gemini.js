@@ -0,0 +1,85 @@
+// Edge AI Translator - "gemini" provider adapter (Google Generative Language API, generateContent)
+// Endpoint may be the API base (…/v1beta), a full …:generateContent URL, or contain a {model} placeholder.
+
+import { buildHeaders, requireApiKey, getApiKey, getEndpoint, getModel, composeChatPrompt, parseChatOutput } from './common.js';
+
+const DEFAULT_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+function authHeaders(config) {
+  return { 'x-goog-api-key': getApiKey(config) };
+}
+
+function modelName(config) {
+  return getModel(config, DEFAULT_MODEL).replace(/^models\//, '');
+}
+
+function generateUrl(config) {
+  const endpoint = getEndpoint(config, DEFAULT_ENDPOINT).replace(/\/+$/, '');
+  const model = encodeURIComponent(modelName(config));
+  if (endpoint.includes('{model}')) return endpoint.replace('{model}', model);
+  if (/:generateContent$/.test(endpoint)) return endpoint;
+  return `${endpoint}/models/${model}:generateContent`;
+}
+
+// API base = everything before /models/…
+function modelsUrl(config) {
+  const endpoint = getEndpoint(config, DEFAULT_ENDPOINT).replace(/\/+$/, '');
+  const base = endpoint.replace(/\/models\/.*$/, '');
+  return `${base}/models`;
+}
+
+export default {
+  id: 'gemini',
+  label: 'gemini（generateContent）',
+  defaults: { endpoint: DEFAULT_ENDPOINT, model: DEFAULT_MODEL },
+  capabilities: { batch: 'prompt', listModels: true, references: true },
+  errorPrefix: 'Gemini HTTP',
+
+  validate(config) {
+    requireApiKey(config, 'gemini');
+  },
+
+  buildRequest(req) {
+    const { config, batch } = req;
+    const { system, userText } = composeChatPrompt(req);
+    const generationConfig = { temperature: 0 };
+    if (batch) generationConfig.responseMimeType = 'application/json';
+    return {
+      url: generateUrl(config),
+      method: 'POST',
+      headers: buildHeaders(config, authHeaders(config)),
+      body: {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: [{ role: 'user', parts: [{ text: userText }] }],
+        generationConfig
+      }
+    };
+  },
+
+  parseResponse(data, ctx) {
+    const parts = data?.candidates?.[0]?.content?.parts;
+    const text = Array.isArray(parts) ? parts.map((p) => p?.text || '').join('') : '';
+    if (!text && data?.promptFeedback?.blockReason) {
+      throw new Error(`Gemini blocked the prompt: ${data.promptFeedback.blockReason}`);
+    }
+    return parseChatOutput(text, ctx);
+  },
+
+  buildModelsRequest(config) {
+    return {
+      url: modelsUrl(config),
+      method: 'GET',
+      headers: buildHeaders(config, authHeaders(config))
+    };
+  },
+
+  // 只列出支持 generateContent 的模型，去掉 "models/" 前缀
+  parseModels(data) {
+    const list = Array.isArray(data?.models) ? data.models : [];
+    return list
+      .filter((m) => !Array.isArray(m?.supportedGenerationMethods) || m.supportedGenerationMethods.includes('generateContent'))
+      .map((m) => String(m?.name ?? '').replace(/^models\//, ''))
+      .filter(Boolean);
+  }
+};
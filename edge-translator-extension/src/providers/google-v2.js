@@ -0,0 +1,54 @@
+// Edge AI Translator - "google-v2" provider adapter (Cloud Translation API v2 / Basic)
+// q accepts an array (native batching, max 128 per request); API key is sent as the key query parameter.
+
+import { buildHeaders, requireApiKey, usesAdapterAuth, getApiKey, getEndpoint, hasPlaceholders, toMarkup, fromMarkup, splitLang, expectOutputs } from './common.js';
+
+const DEFAULT_ENDPOINT = 'https://translation.googleapis.com/language/translate/v2';
+
+// v2 接受 BCP-47 风格代码；中文保留 zh-CN / zh-TW，其余用基础语言码
+function langCode(code) {
+  const l = splitLang(code);
+  if (!l) return '';
+  if (l.base === 'zh') return ['TW', 'HK', 'MO', 'HANT'].includes(l.region) ? 'zh-TW' : 'zh-CN';
+  return l.base;
+}
+
+function translateUrl(config) {
+  const url = new URL(getEndpoint(config, DEFAULT_ENDPOINT));
+  if (usesAdapterAuth(config)) url.searchParams.set('key', getApiKey(config));
+  return url.toString();
+}
+
+export default {
+  id: 'google-v2',
+  label: 'google-v2（Cloud Translation v2）',
+  defaults: { endpoint: DEFAULT_ENDPOINT, model: '' },
+  capabilities: { batch: 'native', listModels: false, maxItems: 128, maxChars: 30000 },
+  errorPrefix: 'Google HTTP',
+
+  validate(config) {
+    requireApiKey(config, 'google-v2');
+  },
+
+  buildRequest({ texts, config, sourceLang, targetLang }) {
+    // html 模式保留占位标签；输出会做实体转义，text 模式下同样需要解码（如 &#39;）
+    const markup = hasPlaceholders(texts);
+    return {
+      url: translateUrl(config),
+      method: 'POST',
+      headers: buildHeaders(config),
+      body: {
+        q: markup ? texts.map(toMarkup) : texts,
+        target: langCode(targetLang) || 'en',
+        source: langCode(sourceLang) || undefined,
+        format: markup ? 'html' : 'text'
+      },
+      markup
+    };
+  },
+
+  parseResponse(data, { texts }) {
+    const list = Array.isArray(data?.data?.translations) ? data.data.translations.map((t) => t?.translatedText) : null;
+    return expectOutputs(list, texts, 'Google').map(fromMarkup);
+  }
+};
@@ -0,0 +1,46 @@
+// Edge AI Translator - Provider registry
+// Adding a provider = adding one adapter module (see ./common.js for the interface) and listing it here.
+
+import { classifyError } from './common.js';
+import custom from './custom.js';
+import openaiCompatible from './openai-compatible.js';
+import anthropic from './anthropic.js';
+import gemini from './gemini.js';
+import local from './local.js';
+import deepl from './deepl.js';
+import libretranslate from './libretranslate.js';
+import azure from './azure.js';
+import googleV2 from './google-v2.js';
+import templated from './templated.js';
+
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || typeof adapter.buildRequest !== 'function' || typeof adapter.parseResponse !== 'function') {
+    throw new Error('Invalid provider adapter');
+  }
+  registry.set(adapter.id, {
+    capabilities: { batch: 'none', listModels: false },
+    defaults: { endpoint: '', model: '' },
+    errorPrefix: 'HTTP',
+    classifyError,
+    ...adapter
+  });
+}
+
+// Unknown types fall back to the custom adapter (the historical default).
+export function getProvider(type) {
+  const id = String(type || 'custom').trim().toLowerCase();
+  return registry.get(id) || registry.get('custom');
+}
+
+export function listProviders() {
+  return Array.from(registry.values()).map((a) => ({
+    id: a.id,
+    label: a.label || a.id,
+    defaults: a.defaults,
+    capabilities: a.capabilities
+  }));
+}
+
+[custom, openaiCompatible, anthropic, gemini, local, deepl, libretranslate, azure, googleV2, templated].forEach(registerProvider);
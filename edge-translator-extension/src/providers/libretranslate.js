@@ -0,0 +1,52 @@
+// Edge AI Translator - "libretranslate" provider adapter (LibreTranslate /translate)
+// q accepts an array (native batching); apiKey is optional for self-hosted instances.
+
+import { buildHeaders, usesAdapterAuth, getApiKey, getEndpoint, hasPlaceholders, toMarkup, fromMarkup, splitLang, expectOutputs } from './common.js';
+
+const DEFAULT_ENDPOINT = 'https://libretranslate.com/translate';
+
+// LibreTranslate 使用 zh（简体）/ zt（繁体），其余为基础语言码
+function langCode(code) {
+  const l = splitLang(code);
+  if (!l) return 'auto';
+  if (l.base === 'zh') return ['TW', 'HK', 'MO', 'HANT'].includes(l.region) ? 'zt' : 'zh';
+  return l.base;
+}
+
+function translateUrl(config) {
+  const endpoint = getEndpoint(config, DEFAULT_ENDPOINT).replace(/\/+$/, '');
+  return /\/translate$/.test(endpoint) ? endpoint : `${endpoint}/translate`;
+}
+
+export default {
+  id: 'libretranslate',
+  label: 'libretranslate（LibreTranslate）',
+  defaults: { endpoint: DEFAULT_ENDPOINT, model: '' },
+  capabilities: { batch: 'native', listModels: false, maxItems: 50, maxChars: 20000 },
+  errorPrefix: 'LibreTranslate HTTP',
+
+  buildRequest({ texts, config, sourceLang, targetLang }) {
+    const markup = hasPlaceholders(texts);
+    const apiKey = usesAdapterAuth(config) ? getApiKey(config) : '';
+    return {
+      url: translateUrl(config),
+      method: 'POST',
+      headers: buildHeaders(config),
+      body: {
+        q: markup ? texts.map(toMarkup) : texts,
+        source: langCode(sourceLang),
+        target: langCode(targetLang) === 'auto' ? 'en' : langCode(targetLang),
+        format: markup ? 'html' : 'text',
+        api_key: apiKey || undefined
+      },
+      markup
+    };
+  },
+
+  parseResponse(data, { texts, request }) {
+    const t = data?.translatedText;
+    const list = Array.isArray(t) ? t : (texts.length === 1 && typeof t === 'string' ? [t] : null);
+    const outs = expectOutputs(list, texts, 'LibreTranslate');
+    return request?.markup ? outs.map(fromMarkup) : outs;
+  }
+};
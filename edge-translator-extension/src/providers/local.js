@@ -0,0 +1,116 @@
+// Edge AI Translator - "local" provider adapter (Ollama /api/chat or llama.cpp server)
+// No API key required; endpoint is the server base URL. Reports the model context size so batching can shrink to fit.
+
+import { buildHeaders, bearerAuth, getEndpoint, getModel, composeChatPrompt, parseChatOutput } from './common.js';
+
+const DEFAULT_ENDPOINTS = { ollama: 'http://localhost:11434', llamacpp: 'http://localhost:8080' };
+const DEFAULT_MODEL = 'qwen2.5:7b';
+// Ollama 未指定 num_ctx 时服务端使用的默认上下文
+const OLLAMA_DEFAULT_CTX = 2048;
+
+function localOpts(config) {
+  const l = config?.provider?.local || {};
+  return {
+    server: l.server === 'llamacpp' ? 'llamacpp' : 'ollama',
+    numCtx: Number(l.numCtx) > 0 ? Math.floor(Number(l.numCtx)) : 0,
+    keepAlive: String(l.keepAlive ?? '').trim()
+  };
+}
+
+// Accept either the base URL or a full API path copied from docs
+function baseUrl(config) {
+  const { server } = localOpts(config);
+  return getEndpoint(config, DEFAULT_ENDPOINTS[server])
+    .replace(/\/+$/, '')
+    .replace(/\/(api\/(chat|generate|tags|show)|v1(\/chat\/completions|\/models)?|completion|props)$/, '');
+}
+
+// keep_alive: 纯数字按秒处理，其余（如 "5m"、"-1"）原样透传
+function keepAliveValue(v) {
+  return /^-?\d+$/.test(v) ? Number(v) : v;
+}
+
+export default {
+  id: 'local',
+  label: 'local（Ollama / llama.cpp 本地模型）',
+  defaults: { endpoint: DEFAULT_ENDPOINTS.ollama, model: DEFAULT_MODEL },
+  capabilities: { batch: 'prompt', listModels: true, references: true },
+  errorPrefix: 'Local HTTP',
+
+  buildRequest(req) {
+    const { config } = req;
+    const { server, numCtx, keepAlive } = localOpts(config);
+    const { system, userText } = composeChatPrompt(req);
+    const messages = [
+      { role: 'system', content: system },
+      { role: 'user', content: userText }
+    ];
+    const headers = buildHeaders(config, bearerAuth(config));
+    if (server === 'llamacpp') {
+      // 上下文大小由 llama-server 启动参数（-c）决定
+      return {
+        url: `${baseUrl(config)}/v1/chat/completions`,
+        method: 'POST',
+        headers,
+        body: { model: getModel(config) || undefined, temperature: 0, messages }
+      };
+    }
+    const options = { temperature: 0 };
+    if (numCtx) options.num_ctx = numCtx;
+    return {
+      url: `${baseUrl(config)}/api/chat`,
+      method: 'POST',
+      headers,
+      body: {
+        model: getModel(config, DEFAULT_MODEL),
+        messages,
+        stream: false,
+        options,
+        keep_alive: keepAlive ? keepAliveValue(keepAlive) : undefined
+      }
+    };
+  },
+
+  parseResponse(data, ctx) {
+    const content = data?.message?.content ?? data?.choices?.[0]?.message?.content;
+    return parseChatOutput(content, ctx);
+  },
+
+  buildModelsRequest(config) {
+    const { server } = localOpts(config);
+    return {
+      url: `${baseUrl(config)}${server === 'llamacpp' ? '/v1/models' : '/api/tags'}`,
+      method: 'GET',
+      headers: buildHeaders(config, bearerAuth(config))
+    };
+  },
+
+  parseModels(data) {
+    if (Array.isArray(data?.models)) return data.models.map((m) => String(m?.name ?? m?.model ?? '')).filter(Boolean);
+    const list = Array.isArray(data?.data) ? data.data : [];
+    return list.map((m) => String(m?.id ?? '')).filter(Boolean);
+  },
+
+  buildContextRequest(config) {
+    const { server } = localOpts(config);
+    const headers = buildHeaders(config, bearerAuth(config));
+    if (server === 'llamacpp') return { url: `${baseUrl(config)}/props`, method: 'GET', headers };
+    return { url: `${baseUrl(config)}/api/show`, method: 'POST', headers, body: { model: getModel(config, DEFAULT_MODEL) } };
+  },
+
+  // Effective context window in tokens (0 = unknown)
+  parseContextLength(data, config) {
+    const { server, numCtx } = localOpts(config);
+    if (server === 'llamacpp') {
+      const n = Number(data?.default_generation_settings?.n_ctx ?? data?.n_ctx);
+      return n > 0 ? n : 0;
+    }
+    // Ollama: 显式 num_ctx > Modelfile 中的 num_ctx > 服务端默认；均不超过模型训练上下文
+    const info = data?.model_info || {};
+    const trainedKey = Object.keys(info).find((k) => k.endsWith('.context_length'));
+    const trained = trainedKey ? Number(info[trainedKey]) : 0;
+    const m = /(?:^|\n)\s*num_ctx\s+(\d+)/.exec(String(data?.parameters || ''));
+    const effective = numCtx || (m ? Number(m[1]) : 0) || OLLAMA_DEFAULT_CTX;
+    return trained > 0 ? Math.min(effective, trained) : effective;
+  }
+};
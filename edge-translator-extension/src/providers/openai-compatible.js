@@ -0,0 +1,61 @@
+// Edge AI Translator - "openai-compatible" provider adapter (Chat Completions API)
+// Batches are sent as a JSON payload and must come back as a JSON array of the same length.
+
+import { buildHeaders, requireApiKey, bearerAuth, getEndpoint, getModel, composeChatPrompt, parseChatOutput } from './common.js';
+
+const DEFAULT_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+// .../v1/chat/completions -> .../v1/models
+function modelsUrl(endpoint) {
+  const m = endpoint.match(/^(.*?\/v\d+)(\/.*)?$/);
+  if (m) return `${m[1]}/models`;
+  return endpoint.replace(/\/chat\/completions\/?$/, '') + '/models';
+}
+
+export default {
+  id: 'openai-compatible',
+  label: 'openai-compatible',
+  defaults: { endpoint: DEFAULT_ENDPOINT, model: DEFAULT_MODEL },
+  capabilities: { batch: 'prompt', listModels: true, references: true },
+  errorPrefix: 'HTTP',
+
+  validate(config) {
+    requireApiKey(config, 'openai-compatible');
+  },
+
+  buildRequest(req) {
+    const { config } = req;
+    const { system, userText } = composeChatPrompt(req);
+    return {
+      url: getEndpoint(config, DEFAULT_ENDPOINT),
+      method: 'POST',
+      headers: buildHeaders(config, bearerAuth(config)),
+      body: {
+        model: getModel(config, DEFAULT_MODEL),
+        temperature: 0,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: userText }
+        ]
+      }
+    };
+  },
+
+  parseResponse(data, ctx) {
+    return parseChatOutput(data?.choices?.[0]?.message?.content, ctx);
+  },
+
+  buildModelsRequest(config) {
+    return {
+      url: modelsUrl(getEndpoint(config, DEFAULT_ENDPOINT)),
+      method: 'GET',
+      headers: buildHeaders(config, bearerAuth(config))
+    };
+  },
+
+  parseModels(data) {
+    const list = Array.isArray(data?.data) ? data.data : [];
+    return list.map((m) => String(m?.id ?? '')).filter(Boolean);
+  }
+};
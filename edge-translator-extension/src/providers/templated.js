@@ -0,0 +1,188 @@
+// Edge AI Translator - "templated" provider adapter
+// Request/response contract comes from config.provider.template, for in-house MT services with their own JSON shape:
+//   {
+//     method: 'POST',
+//     url: 'https://mt.example/api/v1/translate?to={{targetLang}}',
+//     query: { key: '{{apiKey}}' },                          // 值为 "{{inputs}}" 时按条重复该参数
+//     body: '{"texts": {{inputs}}, "from": "{{sourceLang}}"}', // JSON 模板；GET 时忽略
+//     batch: true, maxItems: 50,                              // false：逐条请求，模板中用 {{input}}
+//     outputPath: 'data.translations[*].text',
+//     langMap: { 'zh-CN': 'zh-Hans', auto: '' },
+//     errorPath: 'error.message',                             // 2xx 响应中该值非空视为失败
+//     okPath: 'code', okValue: '0'                            // 可选：该值必须等于 okValue
+//   }
+// Variables: {{inputs}} {{input}} {{sourceLang}} {{targetLang}} {{model}} {{apiKey}}
+
+import { buildHeaders, getApiKey, getModel, isPlainObject } from './common.js';
+
+const VAR_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function templateOf(config) {
+  const t = config?.provider?.template;
+  return isPlainObject(t) ? t : {};
+}
+
+function mapLang(t, code) {
+  const map = isPlainObject(t.langMap) ? t.langMap : {};
+  return Object.prototype.hasOwnProperty.call(map, code) ? String(map[code] ?? '') : code;
+}
+
+function variablesFor(t, { texts, config, sourceLang, targetLang }) {
+  return {
+    inputs: texts,
+    input: String(texts[0] ?? ''),
+    sourceLang: mapLang(t, sourceLang),
+    targetLang: mapLang(t, targetLang),
+    model: getModel(config),
+    apiKey: getApiKey(config)
+  };
+}
+
+function lookup(vars, name) {
+  if (!Object.prototype.hasOwnProperty.call(vars, name)) throw new Error(`Unknown template variable {{${name}}}`);
+  return vars[name];
+}
+
+// Plain-text template (URL, query values, header values)
+function renderText(tpl, vars, encode = (v) => v) {
+  return String(tpl ?? '').replace(VAR_RE, (_, name) => {
+    const v = lookup(vars, name);
+    return encode(Array.isArray(v) ? v.join('\n') : String(v ?? ''));
+  });
+}
+
+// JSON template: "{{x}}" as a whole string becomes the JSON value (arrays stay arrays);
+// inside a longer string the value is escaped in place; outside strings it is emitted as JSON.
+function renderJsonTemplate(tpl, vars) {
+  const src = String(tpl ?? '');
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '{' && src[i + 1] === '{') {
+      VAR_RE.lastIndex = i;
+      const m = VAR_RE.exec(src);
+      if (m && m.index === i) {
+        const v = lookup(vars, m[1]);
+        const end = i + m[0].length;
+        if (inString && src[i - 1] === '"' && out.endsWith('"') && src[end] === '"') {
+          out = out.slice(0, -1) + JSON.stringify(v);
+          inString = false;
+          i = end; // skip closing quote
+        } else if (inString) {
+          out += JSON.stringify(Array.isArray(v) ? v.join('\n') : String(v ?? '')).slice(1, -1);
+          i = end - 1;
+        } else {
+          out += JSON.stringify(v);
+          i = end - 1;
+        }
+        continue;
+      }
+    }
+    if (ch === '"') inString = !inString;
+    else if (ch === '\\' && inString) { out += ch + (src[i + 1] ?? ''); i++; continue; }
+    out += ch;
+  }
+  try {
+    return JSON.parse(out);
+  } catch (e) {
+    throw new Error(`Body template is not valid JSON after rendering: ${e.message}`);
+  }
+}
+
+// Minimal JSON path: a.b[0].c, [*] / .* for every element, optional leading "$."
+function getPath(data, path) {
+  const p = String(path || '').trim().replace(/^\$\.?/, '');
+  if (!p) return data;
+  const tokens = p.match(/[^.[\]]+|\[\s*(\*|\d+)\s*\]/g) || [];
+  let cur = [data];
+  let spread = false;
+  for (const raw of tokens) {
+    const tok = raw.startsWith('[') ? raw.slice(1, -1).trim() : raw;
+    const next = [];
+    for (const v of cur) {
+      if (v == null) continue;
+      if (tok === '*') {
+        spread = true;
+        if (Array.isArray(v)) next.push(...v);
+        else if (isPlainObject(v)) next.push(...Object.values(v));
+      } else {
+        next.push(v[tok]);
+      }
+    }
+    cur = next;
+  }
+  return spread ? cur : cur[0];
+}
+
+function buildUrl(t, vars) {
+  const url = new URL(renderText(t.url, vars, encodeURIComponent));
+  const query = isPlainObject(t.query) ? t.query : {};
+  for (const [k, tpl] of Object.entries(query)) {
+    if (/^\{\{\s*inputs\s*\}\}$/.test(String(tpl).trim())) {
+      for (const text of vars.inputs) url.searchParams.append(k, text);
+    } else {
+      url.searchParams.append(k, renderText(tpl, vars));
+    }
+  }
+  return url.toString();
+}
+
+export default {
+  id: 'templated',
+  label: 'templated（模板化 HTTP 接口）',
+  defaults: { endpoint: '', model: '' },
+  capabilities: { batch: 'native', listModels: false },
+  errorPrefix: 'Templated HTTP',
+
+  // batch=false 时逐条请求
+  capabilitiesFor(config) {
+    const t = templateOf(config);
+    if (t.batch === false) return { batch: 'none', listModels: false };
+    const maxItems = Number(t.maxItems);
+    return { batch: 'native', listModels: false, maxItems: maxItems > 0 ? Math.floor(maxItems) : 0 };
+  },
+
+  validate(config) {
+    const t = templateOf(config);
+    if (!String(t.url || '').trim()) throw new Error('templated provider requires template.url');
+    if (!String(t.outputPath || '').trim()) throw new Error('templated provider requires template.outputPath');
+  },
+
+  buildRequest(req) {
+    const { config } = req;
+    const t = templateOf(config);
+    const vars = variablesFor(t, req);
+    const method = String(t.method || 'POST').toUpperCase();
+    const extra = isPlainObject(config?.provider?.headers) ? config.provider.headers : {};
+    const headers = {};
+    for (const [k, v] of Object.entries(extra)) headers[k] = renderText(v, vars);
+    const hasBody = method !== 'GET' && method !== 'HEAD' && String(t.body ?? '').trim();
+    return {
+      url: buildUrl(t, vars),
+      method,
+      headers: hasBody ? buildHeaders({}, headers) : headers,
+      body: hasBody ? renderJsonTemplate(t.body, vars) : undefined
+    };
+  },
+
+  parseResponse(data, { texts, config }) {
+    const t = templateOf(config);
+    if (t.errorPath) {
+      const err = getPath(data, t.errorPath);
+      if (err != null && err !== '' && err !== false && !(Array.isArray(err) && !err.length)) {
+        throw new Error(`Provider error: ${typeof err === 'string' ? err : JSON.stringify(err)}`);
+      }
+    }
+    if (t.okPath) {
+      const ok = getPath(data, t.okPath);
+      if (String(ok) !== String(t.okValue ?? '')) throw new Error(`Provider error: ${t.okPath}=${JSON.stringify(ok)}`);
+    }
+    let out = getPath(data, t.outputPath);
+    if (!Array.isArray(out) && texts.length === 1 && out != null) out = [out];
+    if (!Array.isArray(out) || out.length !== texts.length) {
+      throw new Error(`Invalid provider response: ${t.outputPath} should yield ${texts.length} translation(s)`);
+    }
+    return out.map((x, i) => (typeof x === 'string' ? x : String(x ?? texts[i] ?? '')));
+  }
+};
@@ -0,0 +1,94 @@
+// Edge AI Translator - Provider profiles and routing (ES module)
+//
+// Exports:
+// - listProfiles: primary provider + enabled config.providerProfiles as ready-to-use configs
+// - resolveRoute: ordered failover chain for one segment (first matching routing rule wins)
+// - routeKey: stable key for grouping segments that share a chain
+//
+// Config:
+//   providerProfiles: [{ id: 'deepl', label: 'DeepL', enabled: true, provider: { type: 'deepl', apiKey: '…' } }]
+//   routing: {
+//     failover: true,   // 出错（不可重试或重试耗尽）时依次尝试链上的下一个 Provider
+//     rules: [{ trigger: 'page', sourceLang: '', targetLang: '', minLength: 0, maxLength: 0, use: ['deepl', 'primary'] }]
+//   }
+// The primary profile is config.provider itself (id 'primary'). Other profiles start from the default provider
+// settings, inherit only limits/retry/batching from the primary, and apply their own provider fields on top.
+
+export const PRIMARY_PROFILE_ID = 'primary';
+
+const INHERITED_KEYS = ['limits', 'retry', 'batching'];
+
+function isObject(v) {
+  return v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function merge(target, source) {
+  if (!isObject(target) || !isObject(source)) return source ?? target;
+  const out = { ...target };
+  for (const k of Object.keys(source)) out[k] = isObject(target[k]) && isObject(source[k]) ? merge(target[k], source[k]) : source[k];
+  return out;
+}
+
+/**
+ * @param {Object} config - full config
+ * @param {Object} providerDefaults - DEFAULT_CONFIG.provider
+ * @returns {{id:string, label:string, config:Object}[]}
+ */
+export function listProfiles(config, providerDefaults = {}) {
+  const primary = config?.provider || {};
+  const out = [{ id: PRIMARY_PROFILE_ID, label: primary.name || primary.type || PRIMARY_PROFILE_ID, config }];
+  const seen = new Set([PRIMARY_PROFILE_ID]);
+  const inherited = {};
+  for (const k of INHERITED_KEYS) if (primary[k] !== undefined) inherited[k] = primary[k];
+  for (const p of Array.isArray(config?.providerProfiles) ? config.providerProfiles : []) {
+    const id = String(p?.id || '').trim();
+    if (!id || seen.has(id) || p.enabled === false || !isObject(p.provider)) continue;
+    seen.add(id);
+    const provider = merge(merge(providerDefaults, inherited), p.provider);
+    out.push({ id, label: String(p.label || id), config: { ...config, provider } });
+  }
+  return out;
+}
+
+function langMatches(rule, actual) {
+  const want = String(rule || '').trim().toLowerCase();
+  if (!want || want === '*') return true;
+  const got = String(actual || '').toLowerCase();
+  return got === want || got.startsWith(want + '-');
+}
+
+function ruleMatches(rule, text, params) {
+  if (!isObject(rule)) return false;
+  const trigger = String(rule.trigger || '').trim();
+  if (trigger && trigger !== '*' && trigger !== (params?.trigger || '')) return false;
+  if (!langMatches(rule.sourceLang, params?.sourceLang)) return false;
+  if (!langMatches(rule.targetLang, params?.targetLang)) return false;
+  const len = String(text ?? '').length;
+  if (Number(rule.minLength) > 0 && len < Number(rule.minLength)) return false;
+  if (Number(rule.maxLength) > 0 && len > Number(rule.maxLength)) return false;
+  return true;
+}
+
+/**
+ * Failover chain for one segment.
+ * @param {Object} config
+ * @param {{id:string}[]} profiles - from listProfiles
+ * @param {string} text
+ * @param {{trigger?:string, sourceLang?:string, targetLang?:string}} params
+ * @returns {{id:string, label:string, config:Object}[]} never empty
+ */
+export function resolveRoute(config, profiles, text, params) {
+  const byId = new Map(profiles.map((p) => [p.id, p]));
+  const routing = isObject(config?.routing) ? config.routing : {};
+  const rules = Array.isArray(routing.rules) ? routing.rules : [];
+  const rule = rules.find((r) => ruleMatches(r, text, params));
+  let chain = rule && Array.isArray(rule.use)
+    ? rule.use.map((id) => byId.get(String(id))).filter(Boolean)
+    : profiles.slice();
+  if (!chain.length) chain = [profiles[0]];
+  return routing.failover === false ? chain.slice(0, 1) : chain;
+}
+
+export function routeKey(chain) {
+  return chain.map((p) => p.id).join('>');
+}
@@ -1,5 +1,15 @@
 // Edge AI Translator - Scheduler & Retry Utilities (MV3-friendly, ES module)
 // Provides: token bucket rate limiter, concurrency gate, jitter, temporary throttle, and generic retry with backoff.
+// Tasks may carry a list of API keys: each key gets its own token bucket and 429 throttle, requests rotate
+// round-robin or least-loaded across them, and keys failing auth repeatedly are disabled until reset.
+// Rate-limit response headers (Retry-After, x-ratelimit-*) drive waits and an adaptive rps: the bucket
+// slows down when quota runs low or on 429, and creeps back to the configured rate afterwards.
+// Queued tasks run by priority (PRIORITY, FIFO within a level); a task whose signal aborts while queued
+// is dropped from the queue and rejected with AbortError.
+// Tasks wait for rate capacity (throttle, request and token buckets) while still queued, so a task sleeping
+// for capacity never holds a concurrency slot: the highest-priority queued task is re-picked on every step.
+// Optional tokens-per-minute limit: tasks enqueued with an estimated token cost also wait on a
+// token-weighted bucket (tpm / 60 per second, one minute of burst).
 
 // Utilities
 export const nowMs = () => Date.now();
@@ -7,18 +17,33 @@ export const sleep = (ms) => new Promise((res) => setTimeout(res, Math.max(0, ms
 const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
 const isArray = (v) => Array.isArray(v);
 
+// Adaptive rate: floor for the factor, quota share counted as "low", recovery per successful response
+const MIN_RATE_FACTOR = 0.05;
+const LOW_QUOTA_RATIO = 0.1;
+const RATE_RECOVERY_STEP = 0.05;
+// Longest sleep before the queue head is picked again while waiting for rate capacity
+const ADMIT_STEP_MS = 250;
+
 // Token Bucket rate limiter
+// rps is the configured rate times an adaptive factor (0..1] lowered by rate-limit feedback.
 class TokenBucket {
   constructor({ rps = 1, burst = 2 } = {}) {
+    this.factor = 1;
     this.setRate(rps, burst);
     this.tokens = this.capacity;
     this.lastRefill = nowMs();
   }
   setRate(rps = 1, burst = 2) {
-    this.rps = Math.max(0.001, rps);
+    this.baseRps = Math.max(0.001, rps);
+    this.rps = Math.max(0.001, this.baseRps * this.factor);
     this.capacity = Math.max(1, Math.floor(burst));
     this.tokens = Math.min(this.tokens ?? this.capacity, this.capacity);
   }
+  setFactor(f) {
+    this._refill();
+    this.factor = clamp(f, MIN_RATE_FACTOR, 1);
+    this.rps = Math.max(0.001, this.baseRps * this.factor);
+  }
   _refill() {
     const now = nowMs();
     const elapsed = (now - this.lastRefill) / 1000;
@@ -27,6 +52,21 @@ class TokenBucket {
       this.lastRefill = now;
     }
   }
+  available() {
+    this._refill();
+    return this.tokens;
+  }
+  // ms until n tokens are available (0 = now)
+  waitMs(n = 1) {
+    this._refill();
+    const deficit = Math.max(0.001, n) - this.tokens;
+    return deficit > 0 ? Math.ceil((deficit / this.rps) * 1000) : 0;
+  }
+  // take without waiting (after waitMs returned 0)
+  consume(n = 1) {
+    this._refill();
+    this.tokens = Math.max(0, this.tokens - Math.max(0.001, n));
+  }
   async take(n = 1) {
     n = Math.max(0.001, n);
     for (;;) {
@@ -50,6 +90,17 @@ export class AbortError extends Error {
   }
 }
 
+// sleep that rejects with AbortError as soon as signal aborts
+function abortableSleep(ms, signal) {
+  if (!signal) return sleep(ms);
+  if (signal.aborted) return Promise.reject(new AbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(timer); reject(new AbortError()); };
+    const timer = setTimeout(() => { signal.removeEventListener('abort', onAbort); resolve(); }, Math.max(0, ms | 0));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 // Backoff helpers
 const randBetween = (a, b) => {
   const lo = Math.min(a, b) | 0;
@@ -68,6 +119,117 @@ export function computeBackoffDelay(attempt, baseMs = 800, maxMs = 20000, jitter
   return d;
 }
 
+// ---------- Rate-limit headers ----------
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const hit = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return hit === undefined ? null : headers[hit];
+}
+
+function firstHeader(headers, names) {
+  for (const n of names) {
+    const v = headerValue(headers, n);
+    if (v !== null && v !== undefined && String(v).trim() !== '') return String(v).trim();
+  }
+  return null;
+}
+
+// "1s", "6m0s", "20ms", "1h2m3.5s" (OpenAI style) or plain seconds -> ms
+export function parseDurationMs(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 1000);
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0, matched = '', m;
+  while ((m = re.exec(s))) {
+    const n = Number(m[1]);
+    total += m[2] === 'h' ? n * 3600000 : m[2] === 'm' ? n * 60000 : m[2] === 's' ? n * 1000 : n;
+    matched += m[0];
+  }
+  return matched === s ? Math.round(total) : null;
+}
+
+// Reset values: durations, epoch seconds (x-ratelimit-reset on some APIs) or RFC 3339 / HTTP dates
+function parseResetMs(v, now) {
+  if (v === null) return null;
+  if (/^\d{10}(\.\d+)?$/.test(v)) return Math.max(0, Math.round(Number(v) * 1000 - now));
+  const d = parseDurationMs(v);
+  if (d !== null) return d;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? Math.max(0, t - now) : null;
+}
+
+function parseCount(v) {
+  if (v === null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+const RATE_HEADERS = {
+  requests: {
+    limit: ['x-ratelimit-limit-requests', 'anthropic-ratelimit-requests-limit', 'x-ratelimit-limit', 'ratelimit-limit'],
+    remaining: ['x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining', 'x-ratelimit-remaining', 'ratelimit-remaining'],
+    reset: ['x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset', 'x-ratelimit-reset', 'ratelimit-reset']
+  },
+  tokens: {
+    limit: ['x-ratelimit-limit-tokens', 'anthropic-ratelimit-tokens-limit'],
+    remaining: ['x-ratelimit-remaining-tokens', 'anthropic-ratelimit-tokens-remaining'],
+    reset: ['x-ratelimit-reset-tokens', 'anthropic-ratelimit-tokens-reset']
+  }
+};
+
+/**
+ * Read rate-limit hints from response headers (Headers or plain object).
+ * @returns {null | { retryAfterMs: number|null, requests: {limit, remaining, resetMs}|null, tokens: {...}|null, headers: Object }}
+ *   headers holds the raw values that were present, for error reporting.
+ */
+export function parseRateLimitHeaders(headers) {
+  if (!headers) return null;
+  const now = nowMs();
+  const raw = {};
+  const pick = (names) => {
+    const v = firstHeader(headers, names);
+    if (v !== null) raw[names.find((n) => headerValue(headers, n) !== null)] = v;
+    return v;
+  };
+  const quota = (names) => {
+    const remaining = parseCount(pick(names.remaining));
+    const limit = parseCount(pick(names.limit));
+    const resetMs = parseResetMs(pick(names.reset), now);
+    return remaining === null && resetMs === null ? null : { limit, remaining, resetMs };
+  };
+  let retryAfterMs = null;
+  const ms = pick(['retry-after-ms']);
+  if (ms !== null && Number.isFinite(Number(ms))) retryAfterMs = Math.max(0, Math.round(Number(ms)));
+  const ra = retryAfterMs === null ? pick(['retry-after']) : null;
+  if (ra !== null) {
+    if (/^\d+(\.\d+)?$/.test(ra)) retryAfterMs = Math.round(Number(ra) * 1000);
+    else if (Number.isFinite(Date.parse(ra))) retryAfterMs = Math.max(0, Date.parse(ra) - now);
+  }
+  const requests = quota(RATE_HEADERS.requests);
+  const tokens = quota(RATE_HEADERS.tokens);
+  if (retryAfterMs === null && !requests && !tokens) return null;
+  return { retryAfterMs, requests, tokens, headers: raw };
+}
+
+// Time until an exhausted quota (remaining 0) resets, or null
+export function quotaWaitMs(info) {
+  let wait = null;
+  for (const q of [info?.requests, info?.tokens]) {
+    if (q && q.remaining !== null && q.remaining <= 0 && q.resetMs !== null) wait = Math.max(wait ?? 0, q.resetMs);
+  }
+  return wait;
+}
+
+// Server-requested wait carried by an error (Retry-After, or the reset of an exhausted quota on 429)
+function serverWaitMs(e) {
+  if (!e) return null;
+  if (typeof e.retryAfterMs === 'number' && e.retryAfterMs >= 0) return e.retryAfterMs;
+  return extractStatus(e) === 429 ? quotaWaitMs(e.rateLimit) : null;
+}
+
 // Default retriable classifier
 function extractStatus(e) {
   if (!e) return 0;
@@ -85,10 +247,12 @@ export async function withRetry(fn, opts = {}) {
     maxRetries = 5,
     baseDelayMs = 800,
     maxDelayMs = 20000,
+    maxRetryAfterMs = 120000,
     jitter = true,
     retryOn = [429, 500, 502, 503, 504],
     isRetriable,
-    onRetry
+    onRetry,
+    signal                      // aborting ends a pending retry wait with AbortError
   } = opts || {};
 
   let attempt = 0;
@@ -101,15 +265,38 @@ export async function withRetry(fn, opts = {}) {
         ? !!isRetriable(e, attempt)
         : (isNetworkError(e) || retryOn.includes(status));
       if (!retriable || attempt >= maxRetries) throw e;
+      // wait as long as the server asks; a wait beyond maxRetryAfterMs gives up (e.g. daily quota)
+      const retryAfterMs = serverWaitMs(e);
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) throw e;
       attempt += 1;
-      const delay = computeBackoffDelay(attempt, baseDelayMs, maxDelayMs, jitter);
-      try { onRetry && onRetry({ attempt, delay, status, error: e }); } catch {}
-      await sleep(delay);
+      const delay = retryAfterMs ?? computeBackoffDelay(attempt, baseDelayMs, maxDelayMs, jitter);
+      try { onRetry && onRetry({ attempt, delay, status, retryAfterMs, error: e }); } catch {}
+      await abortableSleep(delay, signal);
     }
   }
 }
 
+// Lower runs first: interactive selection, visible page content, background / prefetch, dynamic flush
+export const PRIORITY = { interactive: 0, visible: 1, background: 2, dynamic: 3 };
+
+// Priority name or number -> level; unknown values count as 'visible'
+export function normalizePriority(p) {
+  if (typeof p === 'number' && Number.isFinite(p)) return clamp(Math.round(p), PRIORITY.interactive, PRIORITY.dynamic);
+  return PRIORITY[String(p ?? '').trim().toLowerCase()] ?? PRIORITY.visible;
+}
+
+// Consecutive 401/403 responses after which a key is disabled
+export const KEY_AUTH_FAIL_LIMIT = 2;
+
+export class KeysExhaustedError extends Error {
+  constructor(message = 'All API keys are disabled after repeated 401/403 responses') {
+    super(message);
+    this.name = 'KeysExhaustedError';
+  }
+}
+
 // Scheduler with rate limit + concurrency + jitter + temporary throttle
+// config.onKeyDisabled(key) is called when a key gets disabled (for persisting the state).
 export function createScheduler(config = {}) {
   let maxConcurrent = Math.max(1, Number(config.maxConcurrent ?? 2));
   let jitterMs = config.jitterMs;
@@ -121,10 +308,22 @@ export function createScheduler(config = {}) {
   }
 
   const limiter = new TokenBucket({ rps: Number(config.rps ?? 1), burst: Number(config.burst ?? 2) });
+  let tpm = Math.max(0, Number(config.tpm) || 0); // 0 = no token limit
+  const tokenLimiter = new TokenBucket(tpmRate(tpm));
   let running = 0;
+  let admitting = false;
   const q = [];
   let tempThrottleUntil = 0;
+  let tempThrottleExact = false;
+  let adaptive = config.adaptive !== false;
   let closed = false;
+  let onKeyDisabled = typeof config.onKeyDisabled === 'function' ? config.onKeyDisabled : null;
+  const keyStates = new Map(); // api key -> state
+  const rrCursors = new Map(); // key list -> round-robin position
+
+  function tpmRate(n) {
+    return { rps: (n || 1) / 60, burst: n || 1 };
+  }
 
   function getJitterDelay() {
     if (jitterMax <= 0) return 0;
@@ -133,9 +332,20 @@ export function createScheduler(config = {}) {
 
   function updateConfig(next = {}) {
     maxConcurrent = Math.max(1, Number(next.maxConcurrent ?? maxConcurrent));
-    const rps = Number(next.rps ?? limiter.rps);
+    const rps = Number(next.rps ?? limiter.baseRps);
     const burst = Number(next.burst ?? limiter.capacity);
     limiter.setRate(rps, burst);
+    for (const st of keyStates.values()) st.bucket.setRate(rps, burst);
+    if (next.tpm !== undefined) {
+      tpm = Math.max(0, Number(next.tpm) || 0);
+      const r = tpmRate(tpm);
+      for (const b of [tokenLimiter, ...Array.from(keyStates.values(), (st) => st.tokenBucket)]) b.setRate(r.rps, r.burst);
+    }
+    if (typeof next.onKeyDisabled === 'function') onKeyDisabled = next.onKeyDisabled;
+    if (next.adaptive !== undefined) {
+      adaptive = next.adaptive !== false;
+      if (!adaptive) for (const b of [limiter, ...Array.from(keyStates.values(), (st) => st.bucket)]) b.setFactor(1);
+    }
     const jm = next.jitterMs;
     if (typeof jm === 'number') { jitterMin = 0; jitterMax = Math.max(0, jm); }
     else if (isArray(jm)) {
@@ -144,37 +354,288 @@ export function createScheduler(config = {}) {
     }
   }
 
-  function throttleTemporarily(ms = 60000) {
-    tempThrottleUntil = nowMs() + Math.max(0, ms | 0);
+  // exact: a server-requested wait, honoured in full; otherwise a soft pause of at most 2s per task
+  function throttleTemporarily(ms = 60000, exact = false) {
+    const until = nowMs() + Math.max(0, ms | 0);
+    if (exact) {
+      if (!tempThrottleExact || until > tempThrottleUntil) tempThrottleUntil = until;
+      tempThrottleExact = true;
+    } else if (!(tempThrottleExact && tempThrottleUntil > nowMs())) {
+      tempThrottleUntil = until;
+      tempThrottleExact = false;
+    }
   }
 
   function stats() {
-    return { running, queued: q.length, rps: limiter.rps, burst: limiter.capacity };
+    return {
+      running, queued: q.length, queuedByPriority: queuedByPriority(), rps: limiter.rps, baseRps: limiter.baseRps, burst: limiter.capacity,
+      tpm, tpmAvailable: tpm ? Math.floor(tokenLimiter.available()) : null
+    };
+  }
+
+  // Token cost clamped to one minute's allowance, so an oversized batch waits for a full bucket instead of forever
+  function tokenCost(bucket, cost) {
+    const n = Number(cost) || 0;
+    return tpm && n > 0 ? Math.min(n, bucket.capacity) : 0;
+  }
+
+  function tokenWaitMs(bucket, cost) {
+    const n = tokenCost(bucket, cost);
+    return n ? bucket.waitMs(n) : 0;
+  }
+
+  function takeTokens(bucket, cost) {
+    const n = tokenCost(bucket, cost);
+    if (n) bucket.consume(n);
+  }
+
+  // ---------- Adaptive rate ----------
+
+  // Lower the rate when remaining quota runs low (spread what is left over the reset window),
+  // pause until reset when it is exhausted, and recover a little on each healthy response.
+  function adaptRate(bucket, info, status, key) {
+    if (!adaptive) return;
+    if (status === 429) {
+      bucket.setFactor(bucket.factor / 2);
+    }
+    const wait = quotaWaitMs(info);
+    if (wait !== null && wait > 0) {
+      if (key !== null) pauseKey(key, wait, true);
+      else throttleTemporarily(wait, true);
+    }
+    let target = 1;
+    for (const q of [info?.requests, info?.tokens]) {
+      if (!q || q.remaining === null || !q.limit) continue;
+      const share = q.remaining / q.limit;
+      if (share >= LOW_QUOTA_RATIO) continue;
+      target = Math.min(target, share / LOW_QUOTA_RATIO);
+      if (q === info.requests && q.resetMs) target = Math.min(target, (q.remaining / (q.resetMs / 1000)) / bucket.baseRps);
+    }
+    if (target < 1) bucket.setFactor(Math.min(bucket.factor, target));
+    else if (status && status < 400 && bucket.factor < 1) bucket.setFactor(bucket.factor + RATE_RECOVERY_STEP);
+  }
+
+  // ---------- Per-key state ----------
+
+  function keyState(key) {
+    let st = keyStates.get(key);
+    if (!st) {
+      st = {
+        bucket: new TokenBucket({ rps: limiter.baseRps, burst: limiter.capacity }),
+        tokenBucket: new TokenBucket(tpmRate(tpm)),
+        inflight: 0, throttleUntil: 0, throttleExact: false, authFailures: 0, disabled: false,
+        ok: 0, failed: 0, lastStatus: 0, lastError: '', lastUsed: 0
+      };
+      keyStates.set(key, st);
+    }
+    return st;
+  }
+
+  function hasUsableKey(keys) {
+    return isArray(keys) && keys.some((k) => !keyState(k).disabled);
+  }
+
+  // same rules as throttleTemporarily, per key
+  function pauseKey(key, ms, exact) {
+    const st = keyState(key);
+    const now = nowMs();
+    const until = now + Math.max(0, ms | 0);
+    if (exact) {
+      if (!st.throttleExact || until > st.throttleUntil) st.throttleUntil = until;
+      st.throttleExact = true;
+    } else if (!(st.throttleExact && st.throttleUntil > now)) {
+      st.throttleUntil = until;
+      st.throttleExact = false;
+    }
+  }
+
+  function disableKey(key) {
+    const st = keyState(key);
+    if (st.disabled) return;
+    st.disabled = true;
+    try { onKeyDisabled && onKeyDisabled(key); } catch {}
+  }
+
+  // Re-enable keys (all when omitted)
+  function resetKeys(keys) {
+    for (const k of isArray(keys) ? keys : Array.from(keyStates.keys())) {
+      const st = keyStates.get(k);
+      if (!st) continue;
+      st.disabled = false;
+      st.authFailures = 0;
+      st.throttleUntil = 0;
+      st.throttleExact = false;
+      st.bucket.setFactor(1);
+    }
+  }
+
+  function keyStats(keys) {
+    const now = nowMs();
+    return (isArray(keys) ? keys : Array.from(keyStates.keys())).map((key) => {
+      const st = keyStates.get(key);
+      if (!st) return { key, state: 'unused', inflight: 0, ok: 0, failed: 0 };
+      const throttledMs = Math.max(0, st.throttleUntil - now);
+      return {
+        key,
+        state: st.disabled ? 'disabled' : (throttledMs ? 'throttled' : 'ok'),
+        inflight: st.inflight,
+        ok: st.ok,
+        failed: st.failed,
+        authFailures: st.authFailures,
+        throttledMs,
+        tokens: Math.floor(st.bucket.available() * 100) / 100,
+        rps: Math.round(st.bucket.rps * 1000) / 1000,
+        tpmAvailable: tpm ? Math.floor(st.tokenBucket.available()) : null,
+        lastStatus: st.lastStatus,
+        lastError: st.lastError,
+        lastUsed: st.lastUsed
+      };
+    });
+  }
+
+  // Pick a key for one task: { key, waitMs }, waitMs > 0 while the task cannot start yet. Throttled keys
+  // are skipped while others are ready; when all are throttled we wait for the one freed first: in full
+  // when the server asked for that wait, otherwise at most 2s per task, like the global throttle.
+  function pickKey(item, now) {
+    const keys = item.keys;
+    const usable = keys.filter((k) => !keyState(k).disabled);
+    if (!usable.length) throw new KeysExhaustedError();
+    let ready = usable.filter((k) => keyState(k).throttleUntil <= now);
+    if (!ready.length) {
+      const soonest = usable.reduce((a, b) => (keyState(b).throttleUntil < keyState(a).throttleUntil ? b : a));
+      const soon = keyState(soonest);
+      if (soon.throttleExact) return { key: null, waitMs: soon.throttleUntil - now };
+      if (!item.keyPauseUntil) item.keyPauseUntil = now + clamp(soon.throttleUntil - now, 50, 2000);
+      if (item.keyPauseUntil > now) return { key: null, waitMs: item.keyPauseUntil - now };
+      ready = [soonest];
+    }
+    // can send now: a request token and, with a TPM limit, enough token allowance for this task
+    const hasCapacity = (k) => keyState(k).bucket.available() >= 1 &&
+      keyState(k).tokenBucket.available() >= tokenCost(keyState(k).tokenBucket, item.cost);
+    let key;
+    if (item.rotation === 'least-loaded') {
+      // fewest in-flight requests, then able to send now, then most request tokens left
+      key = ready.slice().sort((a, b) => (keyState(a).inflight - keyState(b).inflight) ||
+        (Number(hasCapacity(b)) - Number(hasCapacity(a))) ||
+        (keyState(b).bucket.available() - keyState(a).bucket.available()))[0];
+    } else {
+      // round-robin over the full list so positions stay stable; prefer a key that has a token now
+      const start = rrCursors.get(keys.join('\n')) || 0;
+      const order = [];
+      for (let i = 0; i < keys.length; i++) {
+        const k = keys[(start + i) % keys.length];
+        if (ready.includes(k)) order.push(k);
+      }
+      key = order.find(hasCapacity) || order[0];
+    }
+    const st = keyState(key);
+    return { key, waitMs: Math.max(st.bucket.waitMs(1), tokenWaitMs(st.tokenBucket, item.cost)) };
+  }
+
+  // ms until a queued task may start (0 = now); keyed tasks also get the key they will use
+  function admissionWait(item) {
+    const now = nowMs();
+    // global throttle (see throttleTemporarily)
+    if (tempThrottleUntil > now) {
+      if (tempThrottleExact) return tempThrottleUntil - now;
+      if (!item.pauseUntil) item.pauseUntil = now + clamp(tempThrottleUntil - now, 50, 2000);
+    }
+    if (item.pauseUntil > now) return item.pauseUntil - now;
+    // with keys, the per-key buckets replace the shared one (rps/burst apply per key)
+    if (item.keys) {
+      const { key, waitMs } = pickKey(item, now);
+      item.key = key;
+      return waitMs;
+    }
+    return Math.max(limiter.waitMs(1), tokenWaitMs(tokenLimiter, item.cost));
+  }
+
+  // Charge the capacity checked by admissionWait
+  function admit(item) {
+    if (!item.keys) {
+      limiter.consume(1);
+      takeTokens(tokenLimiter, item.cost);
+      return null;
+    }
+    const key = item.key;
+    const st = keyState(key);
+    st.bucket.consume(1);
+    takeTokens(st.tokenBucket, item.cost);
+    st.inflight += 1;
+    st.lastUsed = nowMs();
+    if (item.rotation !== 'least-loaded') rrCursors.set(item.keys.join('\n'), (item.keys.indexOf(key) + 1) % item.keys.length);
+    return key;
+  }
+
+  function settleKey(key, error, throttleMs) {
+    const st = keyState(key);
+    st.inflight = Math.max(0, st.inflight - 1);
+    if (!error) {
+      st.ok += 1;
+      st.authFailures = 0;
+      st.lastStatus = 200;
+      st.lastError = '';
+      return;
+    }
+    if (error.name === 'AbortError') return;
+    const status = extractStatus(error);
+    st.failed += 1;
+    st.lastStatus = status;
+    st.lastError = String(error.message || error).slice(0, 200);
+    if (status === 429) {
+      const wait = serverWaitMs(error);
+      if (wait !== null) pauseKey(key, wait, true);
+      else pauseKey(key, throttleMs ?? 60000, false);
+    } else if (status === 401 || status === 403) {
+      st.authFailures += 1;
+      if (st.authFailures >= KEY_AUTH_FAIL_LIMIT) disableKey(key);
+    }
+  }
+
+  function queuedByPriority() {
+    const out = {};
+    for (const [name, level] of Object.entries(PRIORITY)) out[name] = q.filter((it) => it.priority === level).length;
+    return out;
+  }
+
+  function detachAbort(item) {
+    if (item.onAbort) {
+      try { item.signal.removeEventListener('abort', item.onAbort); } catch {}
+      item.onAbort = null;
+    }
   }
 
   function close() {
     closed = true;
     while (q.length) {
       const item = q.shift();
+      detachAbort(item);
       item.reject(new Error('Scheduler closed'));
     }
   }
 
-  async function runOne(item) {
+  async function runOne(item, key) {
     running += 1;
     try {
-      const now = nowMs();
-      if (tempThrottleUntil > now) {
-        const wait = clamp(tempThrottleUntil - now, 50, 2000);
-        await sleep(wait);
-      }
       const jitter = getJitterDelay();
       if (jitter) await sleep(jitter);
       if (item.signal?.aborted) throw new AbortError();
-      await limiter.take(1);
-      const result = await item.task();
+      // the task reports response headers through noteHeaders (also on HTTP errors)
+      let noted = null;
+      const noteHeaders = (headers) => { try { noted = parseRateLimitHeaders(headers); } catch {} };
+      let result;
+      try {
+        result = await item.task({ key, noteHeaders });
+      } catch (e) {
+        const info = noted || e?.rateLimit || null;
+        if (e?.name !== 'AbortError') adaptRate(key !== null ? keyState(key).bucket : limiter, info, extractStatus(e), key);
+        throw e;
+      }
+      adaptRate(key !== null ? keyState(key).bucket : limiter, noted, 200, key);
+      if (key !== null) settleKey(key, null);
       item.resolve(result);
     } catch (e) {
+      if (key !== null) settleKey(key, e, item.throttleMs);
       item.reject(e);
     } finally {
       running -= 1;
@@ -182,38 +643,102 @@ export function createScheduler(config = {}) {
     }
   }
 
-  function pump() {
-    if (closed) return;
-    while (running < maxConcurrent && q.length) {
-      const item = q.shift();
-      runOne(item);
+  // Start queued tasks while slots are free. The queue head waits for rate capacity without holding a slot;
+  // a task queued meanwhile with higher priority becomes the head at the next step.
+  async function admitLoop() {
+    while (!closed && q.length && running < maxConcurrent) {
+      const item = q[0];
+      let wait;
+      try {
+        wait = admissionWait(item);
+      } catch (e) {
+        q.shift();
+        detachAbort(item);
+        item.reject(e);
+        continue;
+      }
+      if (wait > 0) {
+        await sleep(Math.min(wait, ADMIT_STEP_MS));
+        continue;
+      }
+      q.shift();
+      detachAbort(item);
+      runOne(item, admit(item));
     }
   }
 
+  function pump() {
+    if (closed || admitting) return;
+    admitting = true;
+    admitLoop().finally(() => {
+      admitting = false;
+      if (q.length && running < maxConcurrent) pump();
+    });
+  }
+
+  // opts: { signal, priority, keys, rotation, throttleMs, cost }
   function enqueue(task, opts = {}) {
     if (closed) return Promise.reject(new Error('Scheduler closed'));
+    if (opts.signal?.aborted) return Promise.reject(new AbortError());
     return new Promise((resolve, reject) => {
-      const item = { task, resolve, reject, signal: opts.signal };
-      q.push(item);
+      const keys = isArray(opts.keys) && opts.keys.length ? opts.keys : null;
+      const item = {
+        task, resolve, reject, signal: opts.signal, priority: normalizePriority(opts.priority),
+        keys, rotation: opts.rotation, throttleMs: opts.throttleMs, cost: opts.cost, onAbort: null,
+        key: null, pauseUntil: 0, keyPauseUntil: 0
+      };
+      if (item.signal) {
+        // cancelled while still queued: leave the queue without taking a slot
+        item.onAbort = () => {
+          const idx = q.indexOf(item);
+          if (idx < 0) return;
+          q.splice(idx, 1);
+          item.onAbort = null;
+          reject(new AbortError());
+        };
+        item.signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+      // after every queued task of the same or higher priority
+      let at = q.findIndex((it) => it.priority > item.priority);
+      if (at < 0) at = q.length;
+      q.splice(at, 0, item);
       pump();
     });
   }
 
-  return { enqueue, updateConfig, throttleTemporarily, stats, close };
+  return { enqueue, updateConfig, throttleTemporarily, stats, close, keyStats, resetKeys, disableKey, hasUsableKey };
 }
 
 // Convenience: wrap fetch with retry and optional scheduler
-export async function scheduledFetch(scheduler, doFetch, retryOpts = {}, on429ThrottleMs = 60000) {
+// enqueueOpts.cost: estimated tokens (prompt + expected output), charged to the TPM bucket on every attempt.
+// enqueueOpts.keys / rotation: rotate API keys per attempt (doFetch receives { key }); a 429 then throttles
+// only that key, and 401/403 is retried on another key while any key is still enabled.
+// enqueueOpts.signal: aborts queued attempts and the wait between retries (which may follow a long Retry-After).
+export async function scheduledFetch(scheduler, doFetch, retryOpts = {}, on429ThrottleMs = 60000, enqueueOpts = {}) {
+  const keyed = isArray(enqueueOpts.keys) && enqueueOpts.keys.length > 0;
+  const baseRetriable = retryOpts.isRetriable;
   return withRetry(async (attempt) => {
-    const res = await scheduler.enqueue(doFetch);
+    const res = await scheduler.enqueue(doFetch, { ...enqueueOpts, throttleMs: on429ThrottleMs });
     return res;
   }, {
     ...retryOpts,
+    signal: enqueueOpts.signal,
+    isRetriable: keyed
+      ? (e, attempt) => {
+          if (e?.name === 'KeysExhaustedError') return false;
+          const st = extractStatus(e);
+          if ((st === 401 || st === 403) && scheduler.hasUsableKey(enqueueOpts.keys)) return true;
+          return typeof baseRetriable === 'function'
+            ? !!baseRetriable(e, attempt)
+            : (isNetworkError(e) || (retryOpts.retryOn || [429, 500, 502, 503, 504]).includes(st));
+        }
+      : baseRetriable,
     onRetry: (info) => {
-      // Try temporary throttle on 429/5xx
+      // Temporary throttle on 429/5xx: exactly the server-requested wait when there is one
       const st = info?.status || 0;
-      if (st === 429 || (st >= 500 && st <= 504)) {
-        try { scheduler.throttleTemporarily(on429ThrottleMs); } catch {}
+      if ((st === 429 && !keyed) || (st >= 500 && st <= 504)) {
+        const exact = typeof info.retryAfterMs === 'number';
+        try { scheduler.throttleTemporarily(exact ? info.retryAfterMs : on429ThrottleMs, exact); } catch {}
       }
     }
   });
@@ -0,0 +1,321 @@
+// Edge AI Translator - Translation memory: approved translation pairs with exact and fuzzy lookup (ES module)
+//
+// Exports:
+// - TranslationMemory: IndexedDB store of approved pairs, indexed per language pair in memory
+// - normalizeSegment: whitespace / Unicode normalization used for exact matches
+// - similarity: 1 - edit distance / longer length over case-folded normalized text
+// - langMatches / canonLang: language tag comparison used to pick language pairs, canonical tag casing
+//
+// Notes:
+// - One unit per (source language, target language, normalized source); importing the same source again
+//   replaces the translation (later approval wins). Language tags are stored in canonical casing.
+// - Units are loaded once per service worker lifetime and kept grouped by language pair; lookups never touch
+//   IndexedDB. The TM is meant for thousands to tens of thousands of approved pairs, not a full corpus.
+// - Fuzzy candidates are filtered by length first (a match above the threshold cannot differ more in length
+//   than the allowed edit distance) and the edit distance is computed in a band with early exit.
+// - TMX parsing / building happens in the options page (DOMParser is not available in the service worker);
+//   this module only sees plain { srcLang, tgtLang, src, tgt } units.
+
+const DB_NAME = 'edge-ai-translator-tm';
+const DB_VERSION = 1;
+const STORE = 'units';
+
+const OPEN_TIMEOUT_MS = 2000;
+// Longer segments are only matched exactly
+const FUZZY_MAX_LENGTH = 2000;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+  });
+}
+
+/**
+ * Normalize for exact matching: NFKC, collapsed whitespace, trimmed (case is kept).
+ */
+export function normalizeSegment(text) {
+  let s = String(text ?? '');
+  try { s = s.normalize('NFKC'); } catch {}
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+function foldSegment(text) {
+  return normalizeSegment(text).toLowerCase();
+}
+
+// Levenshtein distance, or maxDist + 1 as soon as it is known to exceed maxDist
+function boundedDistance(a, b, maxDist) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDist) return maxDist + 1;
+  if (!a.length || !b.length) return Math.max(a.length, b.length);
+  let prev = new Array(b.length + 1);
+  let cur = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    // only cells within maxDist of the diagonal can stay under the bound
+    const from = Math.max(1, i - maxDist);
+    const to = Math.min(b.length, i + maxDist);
+    cur[from - 1] = from === 1 ? i : maxDist + 1;
+    let rowMin = cur[from - 1];
+    const ca = a.charCodeAt(i - 1);
+    for (let j = from; j <= to; j++) {
+      const cost = ca === b.charCodeAt(j - 1) ? 0 : 1;
+      const up = j <= i - 1 + maxDist ? prev[j] : maxDist + 1;
+      const v = Math.min(prev[j - 1] + cost, up + 1, cur[j - 1] + 1);
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (to < b.length) cur[to + 1] = maxDist + 1;
+    if (rowMin > maxDist) return maxDist + 1;
+    [prev, cur] = [cur, prev];
+  }
+  return Math.min(prev[b.length], maxDist + 1);
+}
+
+/**
+ * Similarity in [0, 1]: 1 - edit distance / length of the longer text (case-folded, normalized).
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [min=0] - results below min may be reported as 0 (lets the distance stop early)
+ */
+export function similarity(a, b, min = 0) {
+  const x = foldSegment(a);
+  const y = foldSegment(b);
+  const len = Math.max(x.length, y.length);
+  if (!len) return 1;
+  const maxDist = Math.floor((1 - Math.max(0, Math.min(1, min))) * len);
+  const d = boundedDistance(x, y, maxDist);
+  return d > maxDist ? 0 : 1 - d / len;
+}
+
+/**
+ * Canonical tag casing: "zh_cn" -> "zh-CN", "zh-hant-tw" -> "zh-Hant-TW".
+ */
+export function canonLang(code) {
+  const parts = String(code ?? '').trim().replace(/_/g, '-').split('-').filter(Boolean);
+  return parts.map((p, i) => {
+    if (i === 0) return p.toLowerCase();
+    if (p.length === 2) return p.toUpperCase();
+    if (p.length === 4) return p[0].toUpperCase() + p.slice(1).toLowerCase();
+    return p.toLowerCase();
+  }).join('-');
+}
+
+function normLang(code) {
+  return canonLang(code).toLowerCase();
+}
+
+/**
+ * Whether a TM language tag serves a requested one: same tag, or same base language when either side has
+ * no region (TM "de" serves "de-DE"; "zh-CN" and "zh-TW" stay apart). 'auto' / '' matches anything.
+ */
+export function langMatches(tmLang, wanted) {
+  const a = normLang(tmLang);
+  const b = normLang(wanted);
+  if (!b || b === 'auto' || a === b) return true;
+  const [baseA, ...restA] = a.split('-');
+  const [baseB, ...restB] = b.split('-');
+  return baseA === baseB && (!restA.length || !restB.length);
+}
+
+function unitId(srcLang, tgtLang, norm) {
+  return `${srcLang}>${tgtLang}|${norm}`;
+}
+
+export class TranslationMemory {
+  constructor() {
+    this.dbPromise = null;
+    this.loadPromise = null;
+    this.groups = new Map(); // 'src>tgt' -> { srcLang, tgtLang, units: Map<norm, unit> }
+    this.count = 0;
+  }
+
+  _db() {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      const timer = setTimeout(() => resolve(null), OPEN_TIMEOUT_MS);
+      try {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            const store = db.createObjectStore(STORE, { keyPath: 'id' });
+            store.createIndex('pair', 'pair');
+          }
+        };
+        req.onsuccess = () => { clearTimeout(timer); resolve(req.result); };
+        req.onerror = () => { clearTimeout(timer); resolve(null); };
+      } catch {
+        clearTimeout(timer);
+        resolve(null);
+      }
+    });
+    return this.dbPromise;
+  }
+
+  _index(unit) {
+    let g = this.groups.get(unit.pair);
+    if (!g) {
+      g = { srcLang: unit.srcLang, tgtLang: unit.tgtLang, units: new Map() };
+      this.groups.set(unit.pair, g);
+    }
+    if (!g.units.has(unit.norm)) this.count++;
+    g.units.set(unit.norm, unit);
+  }
+
+  /**
+   * Load all units into memory (once).
+   */
+  load() {
+    if (this.loadPromise) return this.loadPromise;
+    this.loadPromise = (async () => {
+      const db = await this._db();
+      if (!db) return;
+      try {
+        const tx = db.transaction(STORE, 'readonly');
+        const all = await idbRequest(tx.objectStore(STORE).getAll());
+        for (const unit of all || []) this._index(unit);
+      } catch (e) {
+        console.warn('[Edge AI Translator] translation memory load failed:', e?.message || e);
+      }
+    })();
+    return this.loadPromise;
+  }
+
+  _groupsFor(sourceLang, targetLang) {
+    const out = [];
+    for (const g of this.groups.values()) {
+      if (langMatches(g.tgtLang, targetLang) && langMatches(g.srcLang, sourceLang)) out.push(g);
+    }
+    return out;
+  }
+
+  /**
+   * Look up one segment.
+   * @param {string} text
+   * @param {{sourceLang?:string, targetLang:string, threshold?:number, limit?:number}} opts
+   * @returns {{exact: {src:string, tgt:string}|null, fuzzy: {src:string, tgt:string, score:number}[]}}
+   *   fuzzy: best first, score >= threshold, at most `limit`
+   */
+  lookup(text, { sourceLang = 'auto', targetLang, threshold = 0.8, limit = 3 } = {}) {
+    const out = { exact: null, fuzzy: [] };
+    if (!this.count) return out;
+    const norm = normalizeSegment(text);
+    if (!norm) return out;
+    const groups = this._groupsFor(sourceLang, targetLang);
+    for (const g of groups) {
+      const unit = g.units.get(norm);
+      if (unit) { out.exact = { src: unit.src, tgt: unit.tgt }; return out; }
+    }
+    if (limit <= 0 || norm.length > FUZZY_MAX_LENGTH) return out;
+    const min = Math.max(0, Math.min(1, Number(threshold) || 0));
+    const maxLenDiff = (len) => Math.floor((1 - min) * len);
+    for (const g of groups) {
+      for (const unit of g.units.values()) {
+        // quick reject by length before computing the distance
+        const longer = Math.max(unit.norm.length, norm.length);
+        if (Math.abs(unit.norm.length - norm.length) > maxLenDiff(longer)) continue;
+        const score = similarity(norm, unit.norm, min);
+        if (score >= min && score > 0) out.fuzzy.push({ src: unit.src, tgt: unit.tgt, score });
+      }
+    }
+    out.fuzzy.sort((a, b) => b.score - a.score);
+    out.fuzzy.length = Math.min(out.fuzzy.length, limit);
+    return out;
+  }
+
+  /**
+   * Add or replace approved pairs.
+   * @param {{srcLang:string, tgtLang:string, src:string, tgt:string}[]} units
+   * @param {string} [origin='manual'] - where the pairs came from ('tmx', 'manual', …)
+   * @returns {Promise<{added:number, skipped:number}>}
+   */
+  async add(units, origin = 'manual') {
+    await this.load();
+    const db = await this._db();
+    if (!db) throw new Error('翻译记忆不可用（IndexedDB 打开失败）');
+    const now = Date.now();
+    const clean = [];
+    for (const u of Array.isArray(units) ? units : []) {
+      const srcLang = canonLang(u?.srcLang);
+      const tgtLang = canonLang(u?.tgtLang);
+      const src = String(u?.src ?? '');
+      const tgt = String(u?.tgt ?? '');
+      const norm = normalizeSegment(src);
+      if (!srcLang || !tgtLang || normLang(srcLang) === normLang(tgtLang) || !norm || !tgt.trim()) continue;
+      const pair = `${srcLang}>${tgtLang}`;
+      clean.push({ id: unitId(srcLang, tgtLang, norm), pair, srcLang, tgtLang, src, tgt, norm, origin, at: now });
+    }
+    if (clean.length) {
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      for (const unit of clean) store.put(unit);
+      await txDone(tx);
+      for (const unit of clean) this._index(unit);
+    }
+    return { added: clean.length, skipped: (Array.isArray(units) ? units.length : 0) - clean.length };
+  }
+
+  /**
+   * Units for export, optionally limited to one language pair ('en>zh-CN', as listed by stats()).
+   */
+  async units(pair = '') {
+    await this.load();
+    const out = [];
+    for (const [key, g] of this.groups) {
+      if (pair && key !== pair) continue;
+      for (const u of g.units.values()) out.push({ srcLang: u.srcLang, tgtLang: u.tgtLang, src: u.src, tgt: u.tgt, origin: u.origin, at: u.at });
+    }
+    return out;
+  }
+
+  /**
+   * Delete one language pair ('en>zh-CN', as listed by stats()) or, without a pair, everything.
+   * @returns {Promise<number>} units removed
+   */
+  async clear(pair = '') {
+    await this.load();
+    const db = await this._db();
+    if (!db) return 0;
+    const key = String(pair || '');
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    let removed = 0;
+    if (key) {
+      const g = this.groups.get(key);
+      if (g) {
+        for (const u of g.units.values()) store.delete(u.id);
+        removed = g.units.size;
+        this.groups.delete(key);
+      }
+    } else {
+      store.clear();
+      removed = this.count;
+      this.groups.clear();
+    }
+    await txDone(tx);
+    this.count -= removed;
+    return removed;
+  }
+
+  /**
+   * Unit counts per language pair.
+   * @returns {Promise<{total:number, pairs:{pair:string, srcLang:string, tgtLang:string, count:number}[]}>}
+   */
+  async stats() {
+    await this.load();
+    const pairs = Array.from(this.groups, ([pair, g]) => ({ pair, srcLang: g.srcLang, tgtLang: g.tgtLang, count: g.units.size }))
+      .filter((p) => p.count > 0)
+      .sort((a, b) => b.count - a.count);
+    return { total: this.count, pairs };
+  }
+}